@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+// Faste vinduer: forespørsler per time og transaksjoner per døgn (UTC)
+const windowStart = (timestamp, size) => Math.floor(timestamp / size) * size;
+
+const emptyUsage = () => ({
+  requests: 0,
+  transactions: 0,
+  upstreamCalls: 0,
+  wallets: [],
+  lastUsedAt: null,
+  hour: { start: 0, requests: 0 },
+  day: { start: 0, transactions: 0 }
+});
+
+// API-nøkler med kvoter og bruk per nøkkel. keys er { navn: { key, admin?, requestsPerHour?,
+// transactionsPerDay? } }; kvoter som ikke er satt hentes fra defaults. Uten nøkler er
+// tilgangskontrollen slått av. Bruken lagres i usageFile, slik at den overlever en omstart.
+function createAccessControl({ keys = {}, defaults, usageFile = null, now = Date.now, logger = createLogger() }) {
+  const clients = Object.entries(keys).map(([name, entry]) => ({
+    name,
+    admin: entry.admin === true,
+    digest: digest(entry.key),
+    quotas: {
+      requestsPerHour: entry.requestsPerHour ?? defaults.requestsPerHour,
+      transactionsPerDay: entry.transactionsPerDay ?? defaults.transactionsPerDay
+    }
+  }));
+  let usage = {};
+  let saveTimer = null;
+
+  if (usageFile && fs.existsSync(usageFile)) {
+    try {
+      usage = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+    } catch (err) {
+      logger.warn('Could not read usage file', { file: usageFile, error: err.message });
+    }
+  }
+
+  function save() {
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(usageFile), { recursive: true });
+      fs.writeFileSync(usageFile, JSON.stringify(usage));
+    } catch (err) {
+      logger.warn('Could not write usage file', { file: usageFile, error: err.message });
+    }
+  }
+
+  function usageFor(name) {
+    if (!usage[name]) usage[name] = emptyUsage();
+    const record = usage[name];
+    const time = now();
+    if (record.hour.start !== windowStart(time, HOUR_MS)) record.hour = { start: windowStart(time, HOUR_MS), requests: 0 };
+    if (record.day.start !== windowStart(time, DAY_MS)) record.day = { start: windowStart(time, DAY_MS), transactions: 0 };
+    return record;
+  }
+
+  function touch(record) {
+    record.lastUsedAt = new Date(now()).toISOString();
+    if (usageFile && !saveTimer) {
+      saveTimer = setTimeout(save, 1000);
+      saveTimer.unref();
+    }
+  }
+
+  // Sammenligner sha256 av nøklene, så sammenligningen tar like lang tid uansett hvor de skiller seg
+  function authenticate(key) {
+    if (!key) return null;
+    const candidate = digest(key);
+    return clients.find(client => crypto.timingSafeEqual(client.digest, candidate)) || null;
+  }
+
+  // Kvoten som er brukt opp, eller null. En forespørsel slippes inn så lenge noe gjenstår,
+  // så en stor henting kan gå over transaksjonskvoten; da stoppes de neste.
+  function exceededQuota(client) {
+    const record = usageFor(client.name);
+    const time = now();
+    if (record.hour.requests >= client.quotas.requestsPerHour) {
+      return { quota: 'requestsPerHour', limit: client.quotas.requestsPerHour, used: record.hour.requests, resetsAt: record.hour.start + HOUR_MS, retryAfterSeconds: Math.ceil((record.hour.start + HOUR_MS - time) / 1000) };
+    }
+    if (record.day.transactions >= client.quotas.transactionsPerDay) {
+      return { quota: 'transactionsPerDay', limit: client.quotas.transactionsPerDay, used: record.day.transactions, resetsAt: record.day.start + DAY_MS, retryAfterSeconds: Math.ceil((record.day.start + DAY_MS - time) / 1000) };
+    }
+    return null;
+  }
+
+  function recordRequest(name) {
+    const record = usageFor(name);
+    record.requests++;
+    record.hour.requests++;
+    touch(record);
+  }
+
+  function recordFetch(name, { wallets, transactions }) {
+    const record = usageFor(name);
+    record.transactions += transactions;
+    record.day.transactions += transactions;
+    record.wallets = [...new Set([...record.wallets, ...wallets])].sort();
+    touch(record);
+  }
+
+  function recordUpstreamCall(name) {
+    const record = usageFor(name);
+    record.upstreamCalls++;
+    touch(record);
+  }
+
+  // Bruken slik administratorer ser den: totaler, antall lommebøker og gjeldende vinduer mot kvotene
+  function describeUsage(name) {
+    const client = clients.find(c => c.name === name);
+    if (!client) return null;
+    const record = usageFor(name);
+    return {
+      name,
+      admin: client.admin,
+      quotas: client.quotas,
+      requests: record.requests,
+      transactions: record.transactions,
+      upstreamCalls: record.upstreamCalls,
+      walletsFetched: record.wallets.length,
+      wallets: record.wallets,
+      lastUsedAt: record.lastUsedAt,
+      currentHour: { start: new Date(record.hour.start).toISOString(), requests: record.hour.requests },
+      currentDay: { start: new Date(record.day.start).toISOString(), transactions: record.day.transactions }
+    };
+  }
+
+  return {
+    enabled: clients.length > 0,
+    authenticate,
+    exceededQuota,
+    recordRequest,
+    recordFetch,
+    recordUpstreamCall,
+    describeUsage,
+    listUsage: () => clients.map(client => describeUsage(client.name)),
+    save
+  };
+}
+
+module.exports = {
+  createAccessControl
+};
@@ -0,0 +1,16 @@
+const { leg } = require('./helpers');
+
+module.exports = {
+  name: 'aggregate-egld',
+  priority: 90,
+  functions: ['aggregateegld'],
+  matches: ({ tx, wallet }) => tx.sender === wallet && tx.value && BigInt(tx.value) > 0,
+  async classify(ctx) {
+    const { tx } = ctx;
+    ctx.log(`Processing aggregateEgld for tx ${tx.txHash}: EGLD out=${tx.value}`);
+    return {
+      type: 'withdrawal',
+      legs: [leg({ direction: 'out', token: 'EGLD', rawAmount: BigInt(tx.value), decimals: 18, source: 'value', counterparty: tx.receiver })]
+    };
+  }
+};
@@ -0,0 +1,116 @@
+const {
+  tokenLeg,
+  operationCounterparty,
+  sendsPositionToken,
+  esdtTransferEvents,
+  esdtTransferResults,
+  eventToken,
+  eventAmount,
+  decodeTransferResult
+} = require('./helpers');
+
+// Kjente belønningstokens og LP-mønsteret kommer fra nettverkskonfigurasjonen (ctx.network)
+
+// Kjente belønningstokens i operations
+async function fromKnownRewardTokens(ctx) {
+  const { tx, transfers, network } = ctx;
+  for (const op of transfers.tokensIn) {
+    const token = op.identifier || op.name || 'UNKNOWN';
+    ctx.log(`Evaluating token ${token} (value=${op.value}, type=${op.type}, receiver=${op.receiver}) for tx ${tx.txHash}`);
+    if (network.rewardTokens.includes(token)) {
+      const reward = await tokenLeg(ctx, { direction: 'in', token, rawAmount: BigInt(op.value), source: 'operations', counterparty: operationCounterparty(op, 'in') });
+      ctx.log(`✅ Added reward token ${token} from operations for tx ${tx.txHash}: ${reward.amount}`);
+      return reward;
+    }
+  }
+  return null;
+}
+
+// Første token i operations som ikke er et LP-/farm-token
+async function fromNonLpTokens(ctx) {
+  const { tx, func, transfers, network } = ctx;
+  ctx.log(`No reward token found in rewardTokens for tx ${tx.txHash}, trying non-LP tokens`);
+  for (const op of transfers.tokensIn) {
+    const token = op.identifier || op.name || 'UNKNOWN';
+    ctx.log(`Fallback: Evaluating token ${token} (value=${op.value}, type=${op.type}, receiver=${op.receiver}) for tx ${tx.txHash}`);
+    if (token === 'UNKNOWN' || network.lpTokenPattern.test(token)) {
+      ctx.warn(`⚠️ Skipping LP or unknown token ${token} for ${func} tx ${tx.txHash}`);
+      continue;
+    }
+    const reward = await tokenLeg(ctx, { direction: 'in', token, rawAmount: BigInt(op.value), source: 'operations', counterparty: operationCounterparty(op, 'in') });
+    ctx.log(`✅ Added fallback reward token ${token} from operations for tx ${tx.txHash}: ${reward.amount}`);
+    return reward;
+  }
+  return null;
+}
+
+async function fromLogs(ctx) {
+  const { tx, func, network } = ctx;
+  ctx.log(`No reward token found in operations for tx ${tx.txHash}, checking logs.events`);
+  for (const event of esdtTransferEvents(ctx, ['ESDTTransfer', 'ESDTNFTTransfer'])) {
+    const token = eventToken(event);
+    ctx.log(`Logs: Evaluating token ${token} for tx ${tx.txHash}`);
+    if (token === 'UNKNOWN' || network.lpTokenPattern.test(token)) {
+      ctx.warn(`⚠️ Skipping LP or unknown token ${token} in logs for ${func} tx ${tx.txHash}`);
+      continue;
+    }
+    const amount = eventAmount(event);
+    if (amount <= BigInt(0)) {
+      ctx.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
+      continue;
+    }
+    const reward = await tokenLeg(ctx, { direction: 'in', token, rawAmount: amount, source: 'logs', counterparty: event.address || null });
+    ctx.log(`✅ Added reward token ${token} from logs for tx ${tx.txHash}: ${reward.amount}`);
+    return reward;
+  }
+  return null;
+}
+
+async function fromResults(ctx) {
+  const { tx, network } = ctx;
+  ctx.log(`No reward token found in logs for tx ${tx.txHash}, checking scResults`);
+  for (const result of esdtTransferResults(ctx)) {
+    const { decodedData, transfers } = decodeTransferResult(result);
+    if (transfers.length === 0) {
+      ctx.warn(`⚠️ Invalid ESDTTransfer data for tx ${tx.txHash}:`, decodedData);
+      continue;
+    }
+    for (const { token, amount } of transfers) {
+      if (!token || network.lpTokenPattern.test(token)) {
+        ctx.warn(`⚠️ Skipping empty or LP token ${token} in scResult for tx ${tx.txHash}`);
+        continue;
+      }
+      if (amount <= BigInt(0)) {
+        ctx.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
+        continue;
+      }
+      const reward = await tokenLeg(ctx, { direction: 'in', token, rawAmount: amount, source: 'results', counterparty: result.sender || null });
+      ctx.log(`✅ Added reward token ${token} from scResults for tx ${tx.txHash}: ${reward.amount}`);
+      return reward;
+    }
+  }
+  return null;
+}
+
+// Belønningstoken søkes i rekkefølge: kjente tokens, andre tokens i operations, logs og scResults
+const STRATEGIES = [fromKnownRewardTokens, fromNonLpTokens, fromLogs, fromResults];
+
+module.exports = {
+  name: 'claim-rewards',
+  priority: 80,
+  functions: ['claimrewards', 'claimrewardsproxy'],
+  // En farm som utsteder farmtokenet på nytt håndteres av liquidity
+  matches: ctx => !sendsPositionToken(ctx),
+  async classify(ctx) {
+    const { tx, func, operations } = ctx;
+    ctx.log(`Processing ${func} for tx ${tx.txHash}: operations=${JSON.stringify(operations.map(op => ({ type: op.type, identifier: op.identifier, value: op.value, receiver: op.receiver })))}`);
+
+    for (const strategy of STRATEGIES) {
+      const reward = await strategy(ctx);
+      if (reward) return { type: 'reward', legs: [reward] };
+    }
+
+    ctx.warn(`⚠️ No valid reward token found for tx ${tx.txHash}, adding empty reward`);
+    return { type: 'reward', legs: [], warnings: ['No reward token found'] };
+  }
+};
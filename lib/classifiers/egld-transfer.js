@@ -0,0 +1,37 @@
+const { leg } = require('./helpers');
+
+// EGLD fra transaksjonens value, inn eller ut. Brukes før detaljene er hentet,
+// og avgjør om transaksjonen skal behandles selv om funksjonen ikke er skatterelevant.
+function valueTransferLeg(ctx) {
+  const { tx, func, wallet } = ctx;
+  if (!tx.value || BigInt(tx.value) <= 0 || tx.sender === tx.receiver) return null;
+
+  if (tx.receiver === wallet && func !== 'wrapegld') {
+    ctx.log(`Found EGLD transfer for tx ${tx.txHash}: ${tx.value} wei`);
+    return leg({ direction: 'in', token: 'EGLD', rawAmount: BigInt(tx.value), decimals: 18, source: 'value', counterparty: tx.sender });
+  }
+  if (tx.sender === wallet) {
+    ctx.log(`Found outgoing EGLD transfer for tx ${tx.txHash}: ${tx.value} wei`);
+    return leg({ direction: 'out', token: 'EGLD', rawAmount: BigInt(tx.value), decimals: 18, source: 'value', counterparty: tx.receiver });
+  }
+  return null;
+}
+
+// Innkommende EGLD fra operations. Ikke endelig: de funksjonsspesifikke
+// klassifisererne kjører etterpå for resten av transaksjonen.
+module.exports = {
+  name: 'egld-transfer',
+  priority: 100,
+  final: false,
+  valueTransferLeg,
+  async classify(ctx) {
+    const { tx, transfers, state } = ctx;
+    const legs = transfers.egldIn.map(op => {
+      ctx.log(`Found EGLD operation for tx ${tx.txHash}: ${op.value} wei`);
+      return leg({ direction: 'in', token: 'EGLD', rawAmount: BigInt(op.value), decimals: 18, source: 'operations', counterparty: op.sender });
+    });
+    if (legs.length === 0) return null;
+    state.hasAddedEGLD = true;
+    return { legs };
+  }
+};
@@ -0,0 +1,82 @@
+const {
+  tokenLeg,
+  operationLegs,
+  esdtTransferEvents,
+  esdtTransferResults,
+  eventToken,
+  eventAmount,
+  decodeTransferResult
+} = require('./helpers');
+
+async function eventLegs(ctx, events) {
+  const { tx } = ctx;
+  const legs = [];
+  for (const event of events) {
+    const token = eventToken(event);
+    if (token === 'UNKNOWN') {
+      ctx.warn(`⚠️ Skipping event with unknown token for tx ${tx.txHash}`);
+      continue;
+    }
+    const amount = eventAmount(event);
+    if (amount <= BigInt(0)) {
+      ctx.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
+      continue;
+    }
+    const transfer = await tokenLeg(ctx, { direction: 'in', token, rawAmount: amount, source: 'logs', counterparty: event.address || null });
+    legs.push(transfer);
+    ctx.log(`✅ Added token ${token} from logs for tx ${tx.txHash}: ${transfer.amount}`);
+  }
+  return legs;
+}
+
+async function resultLegs(ctx, results) {
+  const { tx } = ctx;
+  const legs = [];
+  for (const result of results) {
+    const { decodedData, transfers } = decodeTransferResult(result);
+    if (transfers.length === 0) {
+      ctx.warn(`⚠️ Invalid ESDTTransfer data for tx ${tx.txHash}:`, decodedData);
+      continue;
+    }
+    for (const { token, amount } of transfers) {
+      if (!token) {
+        ctx.warn(`⚠️ Empty token in scResult for tx ${tx.txHash}`);
+        continue;
+      }
+      if (amount <= BigInt(0)) {
+        ctx.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
+        continue;
+      }
+      const transfer = await tokenLeg(ctx, { direction: 'in', token, rawAmount: amount, source: 'results', counterparty: result.sender || null });
+      legs.push(transfer);
+      ctx.log(`✅ Added token ${token} from scResults for tx ${tx.txHash}: ${transfer.amount}`);
+    }
+  }
+  return legs;
+}
+
+// Reserveklassifiserer: alle token-overføringer i operations, logs og scResults.
+// Samme overføring rapportert fra flere kilder slås sammen når hendelsen bygges.
+module.exports = {
+  name: 'generic',
+  priority: 0,
+  async classify(ctx) {
+    const { tx, func, operations, logs, results, transfers, state } = ctx;
+    const esdtEvents = esdtTransferEvents(ctx, ['ESDTTransfer', 'ESDTNFTTransfer', 'MultiESDTNFTTransfer', 'transfer', 'ESDTLocalTransfer']);
+    const esdtResults = esdtTransferResults(ctx);
+
+    const legs = [
+      ...await operationLegs(ctx, transfers.tokensIn, 'in'),
+      ...await operationLegs(ctx, transfers.tokensOut, 'out'),
+      ...await eventLegs(ctx, esdtEvents),
+      ...await resultLegs(ctx, esdtResults)
+    ];
+
+    const hasTransfers = state.hasAddedEGLD || transfers.egldIn.length > 0 || transfers.tokensIn.length > 0 ||
+      transfers.tokensOut.length > 0 || esdtEvents.length > 0 || esdtResults.length > 0;
+    if (!hasTransfers) {
+      ctx.warn(`⚠️ No transfers found for tx ${tx.txHash}: function=${func}, operations=${JSON.stringify(operations)}, events=${JSON.stringify(logs.events)}, results=${JSON.stringify(results)}`);
+    }
+    return { legs };
+  }
+};
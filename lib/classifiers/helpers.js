@@ -0,0 +1,171 @@
+const BigNumber = require('bignumber.js');
+
+const TOKEN_OPERATION_TYPES = ['esdt', 'MetaESDT', 'fungibleESDT', 'nft', 'nonFungibleESDT'];
+// Operasjoner som skaper eller fjerner tokens i stedet for å flytte dem
+const MINT_ACTIONS = ['create', 'addQuantity', 'localMint'];
+const BURN_ACTIONS = ['burn', 'localBurn', 'wipe'];
+// Overføringsfunksjonene som kan stå i data til et smart contract result
+const TRANSFER_FUNCTIONS = ['ESDTTransfer', 'ESDTNFTTransfer', 'MultiESDTNFTTransfer'];
+
+const decodeBase64ToString = (base64) => {
+  try { return Buffer.from(base64, 'base64').toString(); } catch { return ''; }
+};
+const decodeBase64ToHex = (base64) => {
+  try { return Buffer.from(base64, 'base64').toString('hex'); } catch { return '0'; }
+};
+const decodeHexToString = (hex) => {
+  try { return Buffer.from(hex, 'hex').toString(); } catch { return ''; }
+};
+const decodeHexToBigInt = (hex) => {
+  try { return BigInt(`0x${hex}`); } catch { return BigInt(0); }
+};
+
+const formatAmount = (amount, decimals) =>
+  new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
+
+// Deler en full identifikator (COLLECTION-abcdef-0a) i kolleksjon og nonce
+function splitIdentifier(identifier) {
+  const match = /^(.+-[0-9a-f]{6})-([0-9a-f]+)$/.exec(identifier || '');
+  if (!match) return { collection: identifier, nonce: null };
+  return { collection: match[1], nonce: parseInt(match[2], 16) };
+}
+
+// Full identifikator for NFT/SFT/MetaESDT: nonce i hex med et partall sifre (COLLECTION-abcdef-0a).
+// Fungible tokens har nonce 0 og identifikatoren er bare kolleksjonen.
+function tokenIdentifier(collection, nonce) {
+  if (!nonce || BigInt(nonce) === BigInt(0)) return collection;
+  const hex = BigInt(nonce).toString(16);
+  return `${collection}-${hex.length % 2 === 0 ? hex : `0${hex}`}`;
+}
+
+// NFT og SFT, i motsetning til fungible tokens og MetaESDT (f.eks. farmposisjoner)
+const isCollectible = op =>
+  ['NonFungibleESDT', 'SemiFungibleESDT'].includes(op.esdtType) ||
+  (!op.esdtType && ['nft', 'nonFungibleESDT'].includes(op.type));
+
+// Ett ben i en hovedbokshendelse: en bevegelse av ett token inn til eller ut fra lommeboken.
+// token er den fulle identifikatoren; collection og nonce skiller NFT-er og posisjoner
+// i samme kolleksjon. counterparty er adressen på den andre siden, når den er kjent.
+function leg({ direction, token, rawAmount, decimals, source, counterparty = null }) {
+  const { collection, nonce } = splitIdentifier(token);
+  return {
+    direction,
+    token,
+    collection,
+    nonce,
+    rawAmount: rawAmount.toString(),
+    decimals,
+    amount: formatAmount(rawAmount, decimals),
+    source,
+    counterparty
+  };
+}
+
+async function tokenLeg(ctx, { direction, token, rawAmount, source, counterparty }) {
+  return leg({ direction, token, rawAmount, decimals: await ctx.getTokenDecimals(token), source, counterparty });
+}
+
+const operationCounterparty = (op, direction) => (direction === 'in' ? op.sender : op.receiver) || null;
+
+// Ben for token-operations i én retning; operations uten token eller beløp hoppes over med en advarsel
+async function operationLegs(ctx, ops, direction) {
+  const { tx } = ctx;
+  const legs = [];
+  for (const op of ops) {
+    const token = op.identifier || op.name || 'UNKNOWN';
+    if (token === 'UNKNOWN') {
+      ctx.warn(`⚠️ Unknown token in operation for tx ${tx.txHash}:`, JSON.stringify(op));
+      continue;
+    }
+    const amount = BigInt(op.value);
+    if (amount <= BigInt(0)) {
+      ctx.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
+      continue;
+    }
+    const transfer = await tokenLeg(ctx, { direction, token, rawAmount: amount, source: 'operations', counterparty: operationCounterparty(op, direction) });
+    legs.push(transfer);
+    ctx.log(`✅ Added token ${token} from operations for tx ${tx.txHash}: ${transfer.amount}`);
+  }
+  return legs;
+}
+
+// Sender lommeboken et LP-/farmtoken? Da er kallet en del av en posisjon (f.eks. en farm
+// som utsteder farmtokenet på nytt ved claimRewards), ikke bare en utbetaling.
+const sendsPositionToken = ctx =>
+  ctx.transfers.tokensOut.some(op => op.identifier && ctx.network.lpTokenPattern.test(op.identifier));
+
+// ESDT-overføringer til lommeboken fra logs.events
+const esdtTransferEvents = (ctx, identifiers) => ctx.logs.events?.filter(event =>
+  identifiers.includes(event.identifier) &&
+  decodeBase64ToString(event.topics?.[3] || '') === ctx.wallet
+) || [];
+
+// ESDT-, NFT- og MultiESDT-overføringer til lommeboken fra smart contract results
+const esdtTransferResults = ctx => ctx.results.filter(r =>
+  r.receiver === ctx.wallet &&
+  r.data &&
+  (TRANSFER_FUNCTIONS.includes(decodeBase64ToString(r.data).split('@')[0]) || TRANSFER_FUNCTIONS.includes(r.function))
+);
+
+// Topics i ESDT-hendelser: [token, nonce, beløp, mottaker]. Nonce er tom for fungible tokens.
+const eventToken = event => {
+  const collection = decodeBase64ToString(event.topics?.[0] || '');
+  if (!collection) return 'UNKNOWN';
+  return tokenIdentifier(collection, decodeHexToBigInt(decodeBase64ToHex(event.topics?.[1] || '')));
+};
+// Beløpet står i topic 2 for ESDT-overføringer; andre hendelser kan ha det et annet sted
+const eventAmount = (event, topic = 2) => decodeHexToBigInt(decodeBase64ToHex(event.topics?.[topic] || '0'));
+
+// Dekoder overføringene i data til et smart contract result:
+//   ESDTTransfer@token@beløp
+//   ESDTNFTTransfer@kolleksjon@nonce@beløp@mottaker
+//   MultiESDTNFTTransfer@[mottaker@]antall@(kolleksjon@nonce@beløp)...
+// transfers er tom når data ikke kan tolkes.
+function decodeTransferResult(result) {
+  const decodedData = decodeBase64ToString(result.data);
+  const [func, ...args] = decodedData.split('@');
+  const transfer = (token, nonce, amount) => ({
+    token: tokenIdentifier(decodeHexToString(token), decodeHexToBigInt(nonce)),
+    amount: decodeHexToBigInt(amount)
+  });
+
+  if (func === 'ESDTTransfer' && args.length >= 2) return { decodedData, transfers: [transfer(args[0], '', args[1])] };
+  if (func === 'ESDTNFTTransfer' && args.length >= 3) return { decodedData, transfers: [transfer(args[0], args[1], args[2])] };
+  if (func === 'MultiESDTNFTTransfer') {
+    // Mottakeren (32 byte) står først når resultatet sendes fra lommeboken selv
+    const start = args[0]?.length === 64 ? 1 : 0;
+    const count = Number(decodeHexToBigInt(args[start] || ''));
+    const transfers = [];
+    for (let i = 0; i < count; i++) {
+      const [token, nonce, amount] = args.slice(start + 1 + i * 3, start + 4 + i * 3);
+      if (amount === undefined) return { decodedData, transfers: [] };
+      transfers.push(transfer(token, nonce, amount));
+    }
+    return { decodedData, transfers };
+  }
+  return { decodedData, transfers: [] };
+}
+
+module.exports = {
+  TOKEN_OPERATION_TYPES,
+  MINT_ACTIONS,
+  BURN_ACTIONS,
+  decodeBase64ToString,
+  decodeBase64ToHex,
+  decodeHexToString,
+  decodeHexToBigInt,
+  formatAmount,
+  splitIdentifier,
+  tokenIdentifier,
+  isCollectible,
+  leg,
+  tokenLeg,
+  operationCounterparty,
+  operationLegs,
+  sendsPositionToken,
+  esdtTransferEvents,
+  esdtTransferResults,
+  eventToken,
+  eventAmount,
+  decodeTransferResult
+};
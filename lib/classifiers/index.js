@@ -0,0 +1,164 @@
+const util = require('util');
+const { createLogger } = require('../logger');
+const { TOKEN_OPERATION_TYPES, MINT_ACTIONS, BURN_ACTIONS } = require('./helpers');
+const { gasRefunds } = require('../fees');
+const egldTransfer = require('./egld-transfer');
+const aggregateEgld = require('./aggregate-egld');
+const staking = require('./staking');
+const nft = require('./nft');
+const claimRewards = require('./claim-rewards');
+const liquidity = require('./liquidity');
+const wrapEgld = require('./wrap-egld');
+const unwrapEgld = require('./unwrap-egld');
+const xexchangeSwap = require('./xexchange-swap');
+const generic = require('./generic');
+
+// Standardklassifiserere. Nye dApps legges til som egne moduler med
+// { name, priority, functions?, matches?, final?, classify } og registreres her.
+// classify returnerer benene (se lib/ledger.js) transaksjonen flytter inn og ut av lommeboken.
+const DEFAULT_CLASSIFIERS = [staking, nft, unwrapEgld, egldTransfer, aggregateEgld, claimRewards, liquidity, wrapEgld, xexchangeSwap, generic];
+
+// Sporing av én klassifisering (se POST /explain): hvilke klassifiserere som kjørte
+// eller ble hoppet over og hvorfor, og meldingene hver av dem logget underveis
+const createTrace = () => ({ rules: [], notes: [], current: null });
+
+const defaultLogger = createLogger();
+
+// Felles input til klassifisererne for én transaksjon. Klassifisererne logger med
+// ctx.log (debug) og ctx.warn; med en trace samles meldingene også der.
+function createContext(tx, wallet, { network, getTokenDecimals, trace = null, logger = defaultLogger }) {
+  const record = (level, write) => (...args) => {
+    write(...args);
+    if (trace) (trace.current?.notes || trace.notes).push({ level, message: util.format(...args) });
+  };
+  return {
+    tx,
+    func: (tx.function || '').toLowerCase(),
+    wallet,
+    operations: [],
+    logs: { events: [] },
+    results: [],
+    transfers: { egldIn: [], tokensIn: [], tokensOut: [] },
+    state: { hasAddedEGLD: false },
+    network,
+    getTokenDecimals,
+    trace,
+    log: record('info', logger.printer('debug')),
+    warn: record('warn', logger.printer('warn'))
+  };
+}
+
+// Legger transaksjonsdetaljene (withOperations/withLogs/withResults) inn i konteksten
+function attachDetails(ctx, details) {
+  const { operations = [], logs = { events: [] }, results = [] } = details;
+  const { tx, wallet } = ctx;
+  // Gasrefusjoner er ikke innkommende EGLD; de trekkes fra gebyret i stedet
+  const refundIds = new Set(gasRefunds(tx, results).map(result => result.hash));
+  ctx.operations = operations;
+  ctx.logs = logs;
+  ctx.results = results;
+  ctx.transfers = {
+    egldIn: operations.filter(op =>
+      op.type === 'egld' &&
+      !refundIds.has(op.id) &&
+      op.receiver === wallet &&
+      BigInt(op.value || 0) > 0
+    ),
+    // Preging regnes bare som inn og brenning bare som ut, også når lommeboken står på begge sider
+    tokensIn: operations.filter(op =>
+      TOKEN_OPERATION_TYPES.includes(op.type) &&
+      !BURN_ACTIONS.includes(op.action) &&
+      op.receiver === wallet &&
+      BigInt(op.value || 0) > 0
+    ),
+    tokensOut: operations.filter(op =>
+      TOKEN_OPERATION_TYPES.includes(op.type) &&
+      !MINT_ACTIONS.includes(op.action) &&
+      op.sender === wallet &&
+      BigInt(op.value || 0) > 0
+    )
+  };
+  return ctx;
+}
+
+function createClassifierRegistry(classifiers = []) {
+  const ordered = [];
+
+  // Hvorfor en klassifiserer ikke gjelder for transaksjonen, eller null når den gjelder
+  const skipReason = (classifier, ctx) => {
+    if (classifier.functions && !classifier.functions.includes(ctx.func)) return `function "${ctx.func}" is not one it handles`;
+    if (classifier.matches && !classifier.matches(ctx)) return 'matches() returned false';
+    return null;
+  };
+
+  function register(classifier) {
+    if (!classifier.name || typeof classifier.classify !== 'function') {
+      throw new Error('A classifier needs a name and a classify function');
+    }
+    ordered.push({ priority: 0, ...classifier });
+    // Stabil sortering: lik prioritet beholder registreringsrekkefølgen
+    ordered.sort((a, b) => b.priority - a.priority);
+  }
+
+  // Kjører klassifisererne i prioritert rekkefølge. Hver klassifiserer returnerer
+  // { type?, legs, warnings? }, en liste av slike når transaksjonen har flere uavhengige
+  // deler (f.eks. en farmposisjon og belønningen), eller null for å overlate transaksjonen
+  // til neste. Den første endelige klassifisereren som svarer avslutter kjeden.
+  // Med ctx.trace får hver klassifiserer en regel med status matched, no-result, skipped
+  // eller not-run (etter at en endelig klassifiserer har svart).
+  async function classify(ctx) {
+    const parts = [];
+    let finished = false;
+    for (const classifier of ordered) {
+      const rule = { classifier: classifier.name, priority: classifier.priority, final: classifier.final !== false, status: null, reason: null, notes: [] };
+      ctx.trace?.rules.push(rule);
+      if (finished) {
+        Object.assign(rule, { status: 'not-run', reason: 'an earlier final classifier matched' });
+        continue;
+      }
+      const reason = skipReason(classifier, ctx);
+      if (reason) {
+        Object.assign(rule, { status: 'skipped', reason });
+        continue;
+      }
+
+      if (ctx.trace) ctx.trace.current = rule;
+      let result;
+      try {
+        result = await classifier.classify(ctx);
+      } finally {
+        if (ctx.trace) ctx.trace.current = null;
+      }
+      if (!result) {
+        Object.assign(rule, { status: 'no-result', reason: 'classify() returned null' });
+        continue;
+      }
+      const added = [].concat(result).map(part => ({ classifier: classifier.name, ...part }));
+      parts.push(...added);
+      Object.assign(rule, { status: 'matched', legs: added.reduce((sum, part) => sum + part.legs.length, 0) });
+      finished = rule.final;
+    }
+    return parts;
+  }
+
+  classifiers.forEach(register);
+
+  return {
+    register,
+    classify,
+    list: () => ordered.map(({ name, priority }) => ({ name, priority })),
+    handles: func => ordered.some(classifier => classifier.functions?.includes(func))
+  };
+}
+
+const createDefaultRegistry = () => createClassifierRegistry(DEFAULT_CLASSIFIERS);
+
+module.exports = {
+  DEFAULT_CLASSIFIERS,
+  createTrace,
+  createContext,
+  attachDetails,
+  createClassifierRegistry,
+  createDefaultRegistry,
+  valueTransferLeg: egldTransfer.valueTransferLeg
+};
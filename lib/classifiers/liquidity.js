@@ -0,0 +1,69 @@
+const { tokenLeg, operationCounterparty, sendsPositionToken, splitIdentifier } = require('./helpers');
+
+// xExchange-likviditet og farmer. Tokens som gis fra seg kobles til LP-/farmtokenet
+// (med nonce) som mottas, og tilbake igjen ved uttak. Benene merkes position, slik at
+// kostprisen følger med over i posisjonen (se lib/gains.js). Belønninger som betales ut
+// samtidig er inntekt og føres som en egen del. claimRewards i en farm sender farmtokenet
+// inn og gir det tilbake med ny nonce; kostprisen flyttes over til det nye farmtokenet.
+const POSITION_FUNCTIONS = {
+  addliquidity: { kind: 'liquidity', action: 'enter', type: 'lp-deposit' },
+  addliquidityproxy: { kind: 'liquidity', action: 'enter', type: 'lp-deposit' },
+  removeliquidity: { kind: 'liquidity', action: 'exit', type: 'lp-withdrawal' },
+  removeliquidityproxy: { kind: 'liquidity', action: 'exit', type: 'lp-withdrawal' },
+  enterfarm: { kind: 'farm', action: 'enter', type: 'farm-deposit' },
+  enterfarmproxy: { kind: 'farm', action: 'enter', type: 'farm-deposit' },
+  exitfarm: { kind: 'farm', action: 'exit', type: 'farm-withdrawal' },
+  exitfarmproxy: { kind: 'farm', action: 'exit', type: 'farm-withdrawal' },
+  mergefarmtokens: { kind: 'farm', action: 'merge', type: 'farm-merge' },
+  mergewrappedfarmtokens: { kind: 'farm', action: 'merge', type: 'farm-merge' },
+  claimrewards: { kind: 'farm', action: 'claim', type: 'farm-claim' },
+  claimrewardsproxy: { kind: 'farm', action: 'claim', type: 'farm-claim' }
+};
+
+// Nettobeløp per token. addLiquidity sender overskuddet av det ene tokenet tilbake
+// i samme transaksjon; det som kommer tilbake trekkes fra det som ble sendt.
+function netTransfers(transfers) {
+  const net = new Map();
+  const add = (op, sign) => {
+    const entry = net.get(op.identifier) || { identifier: op.identifier, amount: BigInt(0), ops: {} };
+    entry.amount += sign * BigInt(op.value);
+    entry.ops[sign > 0 ? 'in' : 'out'] = entry.ops[sign > 0 ? 'in' : 'out'] || op;
+    net.set(op.identifier, entry);
+  };
+  transfers.tokensOut.filter(op => op.identifier).forEach(op => add(op, BigInt(-1)));
+  transfers.tokensIn.filter(op => op.identifier).forEach(op => add(op, BigInt(1)));
+  return [...net.values()].filter(entry => entry.amount !== BigInt(0));
+}
+
+module.exports = {
+  name: 'liquidity',
+  priority: 75,
+  functions: Object.keys(POSITION_FUNCTIONS),
+  // claimRewards uten farmtoken er en ren utbetaling (se claim-rewards)
+  matches: ctx => POSITION_FUNCTIONS[ctx.func].action !== 'claim' || sendsPositionToken(ctx),
+  async classify(ctx) {
+    const { tx, func, transfers, network } = ctx;
+    const { kind, action, type } = POSITION_FUNCTIONS[func];
+
+    const legs = [];
+    for (const entry of netTransfers(transfers)) {
+      const direction = entry.amount > 0 ? 'in' : 'out';
+      const rawAmount = entry.amount > 0 ? entry.amount : -entry.amount;
+      legs.push(await tokenLeg(ctx, { direction, token: entry.identifier, rawAmount, source: 'operations', counterparty: operationCounterparty(entry.ops[direction], direction) }));
+    }
+    if (legs.length === 0) return null;
+
+    // Farmer betaler belønninger i MEX/XMEX sammen med posisjonen
+    const isReward = l => kind === 'farm' && l.direction === 'in' && network.rewardTokens.includes(splitIdentifier(l.token).collection);
+    const positionLegs = legs.filter(l => !isReward(l)).map(l => ({ ...l, position: true }));
+    const rewardLegs = legs.filter(isReward);
+
+    // LP-/farmtokenet som mottas ved inngang, sammenslåing og ny utstedelse, eller gis fra seg ved uttak
+    const held = positionLegs.filter(l => l.direction === (action === 'exit' ? 'out' : 'in'));
+    ctx.log(`✅ Added ${type} for tx ${tx.txHash}: ${legs.map(l => `${l.direction} ${l.amount} ${l.token}`).join(', ')}`);
+
+    const parts = [{ type, legs: positionLegs, position: { kind, action, tokens: held.map(l => l.token) } }];
+    if (rewardLegs.length > 0) parts.push({ legs: rewardLegs });
+    return parts;
+  }
+};
@@ -0,0 +1,85 @@
+const { leg, tokenLeg, operationLegs, isCollectible, eventToken, eventAmount } = require('./helpers');
+
+// NFT- og SFT-kjøp og -salg på markedsplasser, preging og brenning.
+// Kjøp: betaling ut (EGLD eller ESDT) og NFT inn. Salg: NFT ut og betaling inn.
+const MARKETPLACE_FUNCTIONS = ['buy', 'buynft', 'buyfor', 'acceptoffer', 'acceptglobaloffer', 'endauction'];
+const MINT_FUNCTIONS = ['mint', 'esdtnftcreate', 'esdtnftaddquantity', 'esdtlocalmint'];
+const BURN_FUNCTIONS = ['burn', 'esdtnftburn', 'esdtlocalburn'];
+
+// Hendelsene en preging eller brenning i lommeboken selv etterlater i logs
+const MINT_EVENTS = ['ESDTNFTCreate', 'ESDTNFTAddQuantity', 'ESDTLocalMint'];
+const BURN_EVENTS = ['ESDTNFTBurn', 'ESDTLocalBurn'];
+
+async function eventLegs(ctx, identifiers, direction) {
+  const legs = [];
+  const events = ctx.logs.events?.filter(event => identifiers.includes(event.identifier) && event.address === ctx.wallet) || [];
+  for (const event of events) {
+    const amount = eventAmount(event);
+    if (amount <= BigInt(0)) continue;
+    legs.push(await tokenLeg(ctx, { direction, token: eventToken(event), rawAmount: amount, source: 'logs', counterparty: null }));
+  }
+  return legs;
+}
+
+// EGLD og fungible tokens lommeboken betaler med eller får betalt
+async function payments(ctx) {
+  const { tx, wallet, transfers } = ctx;
+  const paid = [];
+  if (tx.sender === wallet && BigInt(tx.value || 0) > 0) {
+    paid.push(leg({ direction: 'out', token: 'EGLD', rawAmount: BigInt(tx.value), decimals: 18, source: 'value', counterparty: tx.receiver }));
+  }
+  paid.push(...await operationLegs(ctx, transfers.tokensOut.filter(op => !isCollectible(op)), 'out'));
+
+  const received = transfers.egldIn.map(op => leg({ direction: 'in', token: 'EGLD', rawAmount: BigInt(op.value), decimals: 18, source: 'operations', counterparty: op.sender }));
+  received.push(...await operationLegs(ctx, transfers.tokensIn.filter(op => !isCollectible(op)), 'in'));
+  return { paid, received };
+}
+
+async function marketplaceTrade(ctx) {
+  const { tx, transfers } = ctx;
+  const bought = await operationLegs(ctx, transfers.tokensIn.filter(isCollectible), 'in');
+  const sold = await operationLegs(ctx, transfers.tokensOut.filter(isCollectible), 'out');
+  const { paid, received } = await payments(ctx);
+
+  const isBuy = bought.length > 0 && paid.length > 0;
+  const isSell = sold.length > 0 && received.length > 0;
+  if (!isBuy && !isSell) return null;
+
+  const legs = [...bought, ...received, ...sold, ...paid];
+  ctx.log(`✅ Added NFT trade for tx ${tx.txHash}: ${legs.map(l => `${l.direction} ${l.amount} ${l.token}`).join(', ')}`);
+  return { type: 'trade', legs };
+}
+
+async function mint(ctx) {
+  const { tx, transfers } = ctx;
+  let minted = await operationLegs(ctx, transfers.tokensIn, 'in');
+  if (minted.length === 0) minted = await eventLegs(ctx, MINT_EVENTS, 'in');
+  if (minted.length === 0) return null;
+
+  // Det som ble betalt for pregingen er kostprisen
+  const { paid } = await payments(ctx);
+  ctx.log(`✅ Added mint for tx ${tx.txHash}: ${minted.map(l => `${l.amount} ${l.token}`).join(', ')}`);
+  return { type: 'mint', legs: [...minted, ...paid] };
+}
+
+async function burn(ctx) {
+  const { tx, transfers } = ctx;
+  let burned = await operationLegs(ctx, transfers.tokensOut, 'out');
+  if (burned.length === 0) burned = await eventLegs(ctx, BURN_EVENTS, 'out');
+  if (burned.length === 0) return null;
+
+  ctx.log(`✅ Added burn for tx ${tx.txHash}: ${burned.map(l => `${l.amount} ${l.token}`).join(', ')}`);
+  return { type: 'burn', legs: burned };
+}
+
+// Kjører før egld-transfer og er endelig når den svarer, slik at betalingen ikke føres to ganger
+module.exports = {
+  name: 'nft',
+  priority: 105,
+  functions: [...MARKETPLACE_FUNCTIONS, ...MINT_FUNCTIONS, ...BURN_FUNCTIONS],
+  classify(ctx) {
+    if (MINT_FUNCTIONS.includes(ctx.func)) return mint(ctx);
+    if (BURN_FUNCTIONS.includes(ctx.func)) return burn(ctx);
+    return marketplaceTrade(ctx);
+  }
+};
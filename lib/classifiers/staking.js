@@ -0,0 +1,118 @@
+const {
+  leg,
+  formatAmount,
+  operationLegs,
+  decodeBase64ToString,
+  decodeHexToBigInt,
+  eventAmount
+} = require('./helpers');
+const { isGasRefund } = require('../fees');
+
+// Delegering til staking providers (API-et setter action.category til 'stake') og likvid
+// staking, der EGLD byttes mot et token som sEGLD/xEGLD. Hovedstolen som delegeres og tas
+// ut igjen eies fortsatt av lommeboken: de EGLD-benene merkes principal og er ikke med i
+// den flate visningen. Belønninger er inntekt, også når de reinvesteres direkte.
+
+const isDelegation = ({ tx }) => tx.action?.category === 'stake';
+const liquidStakingOps = ({ network }, ops) => ops.filter(op => network.liquidStakingTokens.includes(op.identifier));
+
+// Hvor mye som ble satt inn, tatt ut eller reinvestert hos en provider
+const position = (provider, token, rawAmount, decimals = 18) => ({ provider, token, amount: formatAmount(rawAmount, decimals) });
+
+const sum = legs => legs.reduce((total, l) => total + BigInt(l.rawAmount), BigInt(0));
+
+// EGLD fra provideren: fra operations, ellers fra scResults (uten gasrefusjonen)
+function egldReceived(ctx) {
+  const { tx, wallet, transfers, results } = ctx;
+  if (transfers.egldIn.length > 0) {
+    return transfers.egldIn.map(op => leg({ direction: 'in', token: 'EGLD', rawAmount: BigInt(op.value), decimals: 18, source: 'operations', counterparty: op.sender }));
+  }
+  return results
+    .filter(r => r.receiver === wallet && BigInt(r.value || 0) > 0 && !isGasRefund(r, tx))
+    .map(r => leg({ direction: 'in', token: 'EGLD', rawAmount: BigInt(r.value), decimals: 18, source: 'results', counterparty: r.sender || null }));
+}
+
+async function stake(ctx) {
+  const { tx, transfers } = ctx;
+  const value = BigInt(tx.value || 0);
+  if (value <= 0) return { type: 'stake', legs: [], warnings: ['No EGLD delegated'] };
+
+  const staked = leg({ direction: 'out', token: 'EGLD', rawAmount: value, decimals: 18, source: 'value', counterparty: tx.receiver });
+  const minted = liquidStakingOps(ctx, transfers.tokensIn);
+  if (minted.length > 0) {
+    // Likvid staking: EGLD byttes mot et token, og begge er vanlige ben
+    ctx.log(`✅ Added liquid stake for tx ${tx.txHash}: ${staked.amount} EGLD`);
+    return { type: 'stake', legs: [staked, ...await operationLegs(ctx, minted, 'in')], staking: position(tx.receiver, 'EGLD', value) };
+  }
+  ctx.log(`✅ Added stake for tx ${tx.txHash}: ${staked.amount} EGLD to ${tx.receiver}`);
+  return { type: 'stake', legs: [{ ...staked, principal: true }], staking: position(tx.receiver, 'EGLD', value) };
+}
+
+async function unstake(ctx) {
+  const { tx, transfers } = ctx;
+  const redeemed = liquidStakingOps(ctx, transfers.tokensOut);
+  if (redeemed.length > 0) {
+    const legs = [...await operationLegs(ctx, redeemed, 'out'), ...await operationLegs(ctx, transfers.tokensIn, 'in')];
+    const { token, decimals } = legs[0];
+    return { type: 'unstake', legs, staking: position(tx.receiver, token, sum(legs.filter(l => l.token === token)), decimals) };
+  }
+
+  // unDelegate@beløp: EGLD-en blir stående hos provideren til den kan tas ut med withdraw
+  const [, amountHex = ''] = decodeBase64ToString(tx.data || '').split('@');
+  const amount = decodeHexToBigInt(amountHex);
+  if (amount <= 0) return { type: 'unstake', legs: [], warnings: ['No undelegated amount found'] };
+  ctx.log(`✅ Added unstake for tx ${tx.txHash}: ${formatAmount(amount, 18)} EGLD from ${tx.receiver}`);
+  return { type: 'unstake', legs: [], staking: position(tx.receiver, 'EGLD', amount) };
+}
+
+async function withdraw(ctx) {
+  const { tx } = ctx;
+  const legs = egldReceived(ctx).map(l => ({ ...l, principal: true }));
+  if (legs.length === 0) return { type: 'stake-withdrawal', legs: [], warnings: ['No withdrawn EGLD found'] };
+  ctx.log(`✅ Added stake withdrawal for tx ${tx.txHash}: ${formatAmount(sum(legs), 18)} EGLD`);
+  return { type: 'stake-withdrawal', legs, staking: position(tx.receiver, 'EGLD', sum(legs)) };
+}
+
+async function claimRewards(ctx) {
+  const { tx } = ctx;
+  const legs = egldReceived(ctx);
+  if (legs.length === 0) return { type: 'reward', legs: [], warnings: ['No staking reward found'] };
+  ctx.log(`✅ Added staking reward for tx ${tx.txHash}: ${formatAmount(sum(legs), 18)} EGLD`);
+  return { type: 'reward', legs, staking: position(tx.receiver, 'EGLD', sum(legs)) };
+}
+
+// Reinvesterte belønninger kommer aldri til lommeboken. Beløpet står i første topic
+// i delegeringshendelsen, og føres som mottatt EGLD siden det er inntekt.
+async function reDelegateRewards(ctx) {
+  const { tx, logs } = ctx;
+  const event = logs.events?.find(e => ['redelegaterewards', 'delegate'].includes((e.identifier || '').toLowerCase()));
+  const amount = event ? eventAmount(event, 0) : BigInt(0);
+  if (amount <= 0) return { type: 'compounded-reward', legs: [], warnings: ['No compounded reward found'] };
+  ctx.log(`✅ Added compounded reward for tx ${tx.txHash}: ${formatAmount(amount, 18)} EGLD`);
+  return {
+    type: 'compounded-reward',
+    legs: [leg({ direction: 'in', token: 'EGLD', rawAmount: amount, decimals: 18, source: 'logs', counterparty: tx.receiver })],
+    staking: position(tx.receiver, 'EGLD', amount)
+  };
+}
+
+const HANDLERS = {
+  delegate: stake,
+  undelegate: unstake,
+  withdraw,
+  claimrewards: claimRewards,
+  redelegaterewards: reDelegateRewards
+};
+
+// Kjører før egld-transfer og claim-rewards, og er endelig, slik at EGLD-en fra
+// provideren ikke også føres som en vanlig overføring
+module.exports = {
+  name: 'staking',
+  priority: 110,
+  functions: Object.keys(HANDLERS),
+  matches: ctx =>
+    isDelegation(ctx) ||
+    (ctx.func === 'delegate' && liquidStakingOps(ctx, ctx.transfers.tokensIn).length > 0) ||
+    (ctx.func === 'undelegate' && liquidStakingOps(ctx, ctx.transfers.tokensOut).length > 0),
+  classify: ctx => HANDLERS[ctx.func](ctx)
+};
@@ -0,0 +1,21 @@
+const { leg, operationLegs } = require('./helpers');
+
+// unwrapEgld: WEGLD sendes til wrap-kontrakten og EGLD kommer tilbake. Kjører før egld-transfer,
+// slik at begge sidene havner i samme del og blir én rad (kostprisen følger med, se lib/gains.js).
+module.exports = {
+  name: 'unwrap-egld',
+  priority: 101,
+  functions: ['unwrapegld'],
+  matches: ({ tx, wallet }) => tx.sender === wallet,
+  async classify(ctx) {
+    const { tx, transfers, network } = ctx;
+    const wrapped = transfers.tokensOut.filter(op => op.identifier === network.tokens.WEGLD);
+    if (wrapped.length === 0) return null;
+    ctx.log(`Processing unwrapEgld for tx ${tx.txHash}: WEGLD out=${wrapped.map(op => op.value).join(', ')}`);
+
+    const legs = transfers.egldIn.map(op =>
+      leg({ direction: 'in', token: 'EGLD', rawAmount: BigInt(op.value), decimals: 18, source: 'operations', counterparty: op.sender }));
+    legs.push(...await operationLegs(ctx, wrapped, 'out'));
+    return { type: 'wrap', legs };
+  }
+};
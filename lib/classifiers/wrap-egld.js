@@ -0,0 +1,19 @@
+const { leg, tokenLeg, operationCounterparty } = require('./helpers');
+
+module.exports = {
+  name: 'wrap-egld',
+  priority: 70,
+  functions: ['wrapegld'],
+  matches: ({ tx, wallet }) => tx.sender === wallet && tx.value && BigInt(tx.value) > 0,
+  async classify(ctx) {
+    const { tx, transfers, network } = ctx;
+    ctx.log(`Processing wrapEgld for tx ${tx.txHash}: EGLD out=${tx.value}`);
+    const legs = [leg({ direction: 'out', token: 'EGLD', rawAmount: BigInt(tx.value), decimals: 18, source: 'value', counterparty: tx.receiver })];
+
+    const inOp = transfers.tokensIn.find(op => op.identifier === network.tokens.WEGLD);
+    if (inOp && BigInt(inOp.value) > 0) {
+      legs.unshift(await tokenLeg(ctx, { direction: 'in', token: inOp.identifier, rawAmount: BigInt(inOp.value), source: 'operations', counterparty: operationCounterparty(inOp, 'in') }));
+    }
+    return { type: 'wrap', legs };
+  }
+};
@@ -0,0 +1,30 @@
+const { tokenLeg, operationCounterparty } = require('./helpers');
+
+// Største overføring i hver retning først, slik at den flate visningen parer
+// handelens hovedsider på samme rad
+const byValueDesc = (a, b) => (BigInt(b.value) > BigInt(a.value) ? 1 : BigInt(b.value) < BigInt(a.value) ? -1 : 0);
+
+module.exports = {
+  name: 'xexchange-swap',
+  priority: 60,
+  functions: ['swap_tokens_fixed_input', 'swap_tokens_fixed_output', 'multipairswap'],
+  async classify(ctx) {
+    const { tx, transfers } = ctx;
+    ctx.log(`Processing swap for tx ${tx.txHash}: in=${JSON.stringify(transfers.tokensIn)}, out=${JSON.stringify(transfers.tokensOut)}`);
+    const tokensIn = transfers.tokensIn.filter(op => op.identifier).sort(byValueDesc);
+    const tokensOut = transfers.tokensOut.filter(op => op.identifier).sort(byValueDesc);
+
+    // Uten tokens i noen retning overlates transaksjonen til den generelle klassifisereren
+    if (tokensIn.length === 0 && tokensOut.length === 0) return null;
+
+    const legs = [];
+    for (const op of tokensIn) {
+      legs.push(await tokenLeg(ctx, { direction: 'in', token: op.identifier, rawAmount: BigInt(op.value), source: 'operations', counterparty: operationCounterparty(op, 'in') }));
+    }
+    for (const op of tokensOut) {
+      legs.push(await tokenLeg(ctx, { direction: 'out', token: op.identifier, rawAmount: BigInt(op.value), source: 'operations', counterparty: operationCounterparty(op, 'out') }));
+    }
+    ctx.log(`✅ Added swap tx ${tx.txHash}: ${legs.map(l => `${l.direction} ${l.amount} ${l.token}`).join(', ')}`);
+    return { type: 'trade', legs };
+  }
+};
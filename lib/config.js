@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const { LOG_LEVELS, LOG_FORMATS, REDACT_MODES } = require('./logger');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Standardverdier. Overstyres av konfigurasjonsfilen (JSON) og deretter av miljøvariabler.
+const DEFAULTS = {
+  DEFAULT_NETWORK: 'mainnet',
+  // Hvert nettverk har egen API-URL og egne identifikatorer for WEGLD/MEX/XMEX
+  NETWORKS: {
+    mainnet: {
+      apiUrl: 'https://api.multiversx.com',
+      tokens: { WEGLD: 'WEGLD-bd4d79', MEX: 'MEX-455c57', XMEX: 'XMEX-fda355' },
+      rewardTokens: [
+        'UTK-2f80e9', 'ZPAY-247875', 'QWT-46ac01', 'RIDE-7d18e9', 'CRT-a28d59', 'CYBER-5d1f4a',
+        'AERO-458b36', 'ISET-83f339', 'BHAT-c1fde3', 'SFIT-dcbf2a'
+      ],
+      // Likvid staking: tokens som preges når EGLD delegeres (sEGLD, xEGLD)
+      liquidStakingTokens: ['SEGLD-3ad2d0', 'XEGLD-e413ed']
+    },
+    devnet: {
+      apiUrl: 'https://devnet-api.multiversx.com',
+      tokens: { WEGLD: 'WEGLD-a28c59', MEX: 'MEX-a659d0' },
+      rewardTokens: [],
+      liquidStakingTokens: []
+    },
+    testnet: {
+      apiUrl: 'https://testnet-api.multiversx.com',
+      tokens: {},
+      rewardTokens: [],
+      liquidStakingTokens: []
+    }
+  },
+  PAGE_SIZE: 1000,
+  MAX_RESULT_WINDOW: 10000, // API-et avviser from + size over denne grensen
+  MAX_RETRIES: 5,
+  BASE_DELAY_MS: 1000,
+  // Felles grense for alle kall mot MultiversX-API-et (token bucket)
+  API_RATE_LIMIT_PER_SECOND: 4,
+  API_RATE_LIMIT_BURST: 10,
+  DETAIL_CONCURRENCY: 4,
+  DETAILS_BATCH_SIZE: 25, // API-et tillater høyst 50 med withLogs/withOperations
+  PRICE_RATE_LIMIT_PER_SECOND: 0.5,
+  PRICE_RATE_LIMIT_BURST: 5,
+  JOB_CONCURRENCY: 2,
+  JOB_RETENTION_MS: 3600000,
+  // Om det som er hentet før en jobb avbrytes (av klienten eller fordi den forsvant) beholdes i lageret
+  KEEP_PARTIAL_RESULTS: false,
+  MAX_PORTFOLIO_WALLETS: 10,
+  // API-nøkler: { navn: { key, admin?, requestsPerHour?, transactionsPerDay? } }. Uten nøkler er
+  // hentings- og eksportrutene åpne (bare CORS). Settes i konfigurasjonsfilen, ikke miljøvariabler.
+  API_KEYS: {},
+  API_KEY_REQUESTS_PER_HOUR: 60,
+  API_KEY_TRANSACTIONS_PER_DAY: 50000,
+  USAGE_FILE: 'data/usage.json',
+  CORS_ORIGINS: [
+    'https://www.multiversxdomain.com'
+  ],
+  TAX_RELEVANT_FUNCTIONS: [
+    'claimrewards', 'claimrewardsproxy', 'swap_tokens_fixed_input', 'swap_tokens_fixed_output',
+    'multipairswap', 'transfer', 'esdttransfer', 'multiesdtnfttransfer', 'swap', 'send',
+    'receive', 'wrapegld', 'unwrapegld', 'aggregateegld' // Lagt til
+  ],
+  // Desimaler for nettverkenes WEGLD/MEX/XMEX legges til automatisk
+  KNOWN_TOKEN_DECIMALS: {
+    'EGLD': 18
+  },
+  // Farm- og LP-tokens som ikke regnes som belønning
+  LP_TOKEN_PATTERN: '(FARM|FL-|EGLD.*FL|WEGLD.*FL|XMEXFARM|CYBEEGLD|CRTWEGLD)',
+  FIAT_CURRENCY: 'NOK',
+  SUPPORTED_FIAT_CURRENCIES: ['NOK', 'USD', 'EUR'],
+  PRICE_PROVIDER: 'coingecko',
+  PRICE_CACHE_FILE: 'data/prices.json',
+  WALLET_STORE_DIR: 'data/wallets',
+  SYNC_SETTLE_SECONDS: 300, // Så nye transaksjoner kan fortsatt endre status
+  // Prisalias utover WEGLD → EGLD og XMEX → MEX, som legges til per nettverk
+  PRICE_ALIASES: {},
+  LOG_LEVEL: 'info', // debug tar med rå transaksjoner, klassifiseringsdetaljer og fremdriftsmeldinger
+  LOG_FORMAT: 'json', // json (én linje per hendelse) eller pretty
+  LOG_REDACT_ADDRESSES: 'none', // none, truncate eller hash
+  COINGECKO_API_URL: 'https://api.coingecko.com/api/v3',
+  COINGECKO_IDS: {
+    'EGLD': 'elrond-erd-2',
+    'MEX-455c57': 'maiar-dex',
+    'USDC-c76f1f': 'usd-coin',
+    'USDT-f8c08c': 'tether',
+    'UTK-2f80e9': 'utrust',
+    'RIDE-7d18e9': 'holoride'
+  }
+};
+
+const TOKEN_ID_PATTERN = /^[A-Z0-9]{3,10}-[0-9a-f]{6}$/;
+const NETWORK_TOKENS = ['WEGLD', 'MEX', 'XMEX'];
+
+const isHttpUrl = value => /^https?:\/\/[^\s]+$/.test(value || '');
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Miljøvariabler med samme navn som nøkkelen overstyrer tall, tekst, lister
+// (kommaseparert) og true/false. API-URL per nettverk settes med <NETTVERK>_API_URL.
+function fromEnv(env, networks) {
+  const overrides = {};
+  for (const [key, fallback] of Object.entries(DEFAULTS)) {
+    const raw = env[key];
+    if (raw === undefined || raw === '' || isPlainObject(fallback)) continue;
+    if (Array.isArray(fallback)) overrides[key] = raw.split(',').map(item => item.trim()).filter(Boolean);
+    else if (typeof fallback === 'number') overrides[key] = raw.trim() === '' ? NaN : Number(raw);
+    else if (typeof fallback === 'boolean') overrides[key] = { true: true, false: false }[raw.trim().toLowerCase()] ?? raw;
+    else overrides[key] = raw;
+  }
+
+  const networkOverrides = {};
+  for (const name of Object.keys(networks)) {
+    const apiUrl = env[`${name.toUpperCase()}_API_URL`];
+    if (apiUrl) networkOverrides[name] = { apiUrl };
+  }
+  if (Object.keys(networkOverrides).length > 0) overrides.NETWORKS = networkOverrides;
+  return overrides;
+}
+
+function readConfigFile(file) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!isPlainObject(parsed)) throw new Error('expected a JSON object');
+    return parsed;
+  } catch (err) {
+    throw new ConfigError([`Could not read config file ${file}: ${err.message}`]);
+  }
+}
+
+// Objekter slås sammen nøkkel for nøkkel; nettverk slås sammen felt for felt
+function merge(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (key === 'NETWORKS' && isPlainObject(value)) {
+      merged.NETWORKS = { ...base.NETWORKS };
+      for (const [name, network] of Object.entries(value)) {
+        const current = base.NETWORKS[name] || {};
+        merged.NETWORKS[name] = isPlainObject(network)
+          ? { ...current, ...network, tokens: { ...current.tokens, ...network.tokens } }
+          : network;
+      }
+    } else if (isPlainObject(base[key]) && isPlainObject(value)) {
+      merged[key] = { ...base[key], ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function validate(config, { priceProviders }) {
+  const problems = [];
+  const unknown = Object.keys(config).filter(key => !(key in DEFAULTS));
+  for (const key of unknown) problems.push(`Unknown config key ${key}`);
+
+  const integer = (key, min) => {
+    if (!Number.isInteger(config[key]) || config[key] < min) problems.push(`${key} must be an integer >= ${min}`);
+  };
+  const stringList = key => {
+    if (!Array.isArray(config[key]) || !config[key].every(item => typeof item === 'string' && item)) {
+      problems.push(`${key} must be a list of strings`);
+    }
+  };
+
+  const string = key => {
+    if (typeof config[key] !== 'string' || !config[key]) problems.push(`${key} must be a non-empty string`);
+  };
+  const object = key => {
+    if (!isPlainObject(config[key])) problems.push(`${key} must be an object`);
+  };
+
+  const positive = key => {
+    if (typeof config[key] !== 'number' || !(config[key] > 0)) problems.push(`${key} must be a number > 0`);
+  };
+
+  ['PAGE_SIZE', 'MAX_RESULT_WINDOW', 'MAX_RETRIES', 'JOB_CONCURRENCY', 'MAX_PORTFOLIO_WALLETS'].forEach(key => integer(key, 1));
+  ['API_KEY_REQUESTS_PER_HOUR', 'API_KEY_TRANSACTIONS_PER_DAY'].forEach(key => integer(key, 1));
+  ['API_RATE_LIMIT_BURST', 'DETAIL_CONCURRENCY', 'PRICE_RATE_LIMIT_BURST'].forEach(key => integer(key, 1));
+  ['API_RATE_LIMIT_PER_SECOND', 'PRICE_RATE_LIMIT_PER_SECOND'].forEach(positive);
+  if (!Number.isInteger(config.DETAILS_BATCH_SIZE) || config.DETAILS_BATCH_SIZE < 1 || config.DETAILS_BATCH_SIZE > 50) {
+    problems.push('DETAILS_BATCH_SIZE must be an integer between 1 and 50');
+  }
+  ['BASE_DELAY_MS', 'JOB_RETENTION_MS', 'SYNC_SETTLE_SECONDS'].forEach(key => integer(key, 0));
+  if (typeof config.KEEP_PARTIAL_RESULTS !== 'boolean') problems.push('KEEP_PARTIAL_RESULTS must be true or false');
+  if (config.PAGE_SIZE > config.MAX_RESULT_WINDOW) problems.push('PAGE_SIZE cannot exceed MAX_RESULT_WINDOW');
+  ['CORS_ORIGINS', 'TAX_RELEVANT_FUNCTIONS', 'SUPPORTED_FIAT_CURRENCIES'].forEach(stringList);
+  ['DEFAULT_NETWORK', 'PRICE_CACHE_FILE', 'WALLET_STORE_DIR', 'USAGE_FILE', 'LP_TOKEN_PATTERN'].forEach(string);
+  ['KNOWN_TOKEN_DECIMALS', 'PRICE_ALIASES', 'COINGECKO_IDS'].forEach(object);
+
+  if (!isPlainObject(config.NETWORKS) || Object.keys(config.NETWORKS).length === 0) {
+    problems.push('NETWORKS must define at least one network');
+  } else {
+    for (const [name, network] of Object.entries(config.NETWORKS)) {
+      if (!isPlainObject(network)) {
+        problems.push(`NETWORKS.${name} must be an object`);
+        continue;
+      }
+      if (!isHttpUrl(network.apiUrl)) problems.push(`NETWORKS.${name}.apiUrl must be an http(s) URL`);
+      for (const [ticker, identifier] of Object.entries(network.tokens || {})) {
+        if (!NETWORK_TOKENS.includes(ticker)) problems.push(`NETWORKS.${name}.tokens.${ticker} is not one of ${NETWORK_TOKENS.join(', ')}`);
+        else if (!TOKEN_ID_PATTERN.test(identifier)) problems.push(`NETWORKS.${name}.tokens.${ticker} is not a token identifier: ${identifier}`);
+      }
+      for (const key of ['rewardTokens', 'liquidStakingTokens']) {
+        const tokens = network[key] || [];
+        if (!Array.isArray(tokens) || !tokens.every(token => TOKEN_ID_PATTERN.test(token))) {
+          problems.push(`NETWORKS.${name}.${key} must be a list of token identifiers`);
+        }
+      }
+    }
+    if (!config.NETWORKS[config.DEFAULT_NETWORK]) {
+      problems.push(`DEFAULT_NETWORK ${config.DEFAULT_NETWORK} is not one of ${Object.keys(config.NETWORKS).join(', ')}`);
+    }
+  }
+
+  const currencies = Array.isArray(config.SUPPORTED_FIAT_CURRENCIES) ? config.SUPPORTED_FIAT_CURRENCIES.map(String) : [];
+  if (typeof config.FIAT_CURRENCY !== 'string' || !currencies.some(c => c.toUpperCase() === config.FIAT_CURRENCY.toUpperCase())) {
+    problems.push(`FIAT_CURRENCY ${config.FIAT_CURRENCY} is not in SUPPORTED_FIAT_CURRENCIES`);
+  }
+  if (!isHttpUrl(config.COINGECKO_API_URL)) problems.push('COINGECKO_API_URL must be an http(s) URL');
+  if (!priceProviders.includes(config.PRICE_PROVIDER)) {
+    problems.push(`PRICE_PROVIDER ${config.PRICE_PROVIDER} is not one of ${priceProviders.join(', ')}`);
+  }
+
+  const oneOf = (key, allowed) => {
+    if (!allowed.includes(config[key])) problems.push(`${key} ${config[key]} is not one of ${allowed.join(', ')}`);
+  };
+  oneOf('LOG_LEVEL', Object.keys(LOG_LEVELS));
+  oneOf('LOG_FORMAT', LOG_FORMATS);
+  oneOf('LOG_REDACT_ADDRESSES', REDACT_MODES);
+
+  if (!isPlainObject(config.API_KEYS)) {
+    problems.push('API_KEYS must be an object');
+  } else {
+    const seen = new Set();
+    for (const [name, entry] of Object.entries(config.API_KEYS)) {
+      if (!isPlainObject(entry)) {
+        problems.push(`API_KEYS.${name} must be an object`);
+        continue;
+      }
+      if (typeof entry.key !== 'string' || entry.key.length < 16) problems.push(`API_KEYS.${name}.key must be a string of at least 16 characters`);
+      else if (seen.has(entry.key)) problems.push(`API_KEYS.${name}.key is used by another key`);
+      seen.add(entry.key);
+      for (const quota of ['requestsPerHour', 'transactionsPerDay']) {
+        if (entry[quota] !== undefined && (!Number.isInteger(entry[quota]) || entry[quota] < 1)) problems.push(`API_KEYS.${name}.${quota} must be an integer >= 1`);
+      }
+      if (entry.admin !== undefined && typeof entry.admin !== 'boolean') problems.push(`API_KEYS.${name}.admin must be true or false`);
+    }
+  }
+
+  for (const [token, decimals] of Object.entries(isPlainObject(config.KNOWN_TOKEN_DECIMALS) ? config.KNOWN_TOKEN_DECIMALS : {})) {
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) problems.push(`KNOWN_TOKEN_DECIMALS.${token} must be an integer between 0 and 18`);
+  }
+  try {
+    new RegExp(config.LP_TOKEN_PATTERN, 'i');
+  } catch (err) {
+    problems.push(`LP_TOKEN_PATTERN is not a valid regular expression: ${err.message}`);
+  }
+
+  return problems;
+}
+
+// Det et nettverk trenger under henting og klassifisering
+function resolveNetwork(config, name) {
+  const network = config.NETWORKS[name];
+  const { WEGLD, MEX, XMEX } = network.tokens || {};
+  return {
+    name,
+    apiUrl: network.apiUrl.replace(/\/+$/, ''),
+    tokens: { ...network.tokens },
+    rewardTokens: [XMEX, MEX, ...(network.rewardTokens || [])].filter(Boolean),
+    liquidStakingTokens: [...(network.liquidStakingTokens || [])],
+    lpTokenPattern: new RegExp(config.LP_TOKEN_PATTERN, 'i')
+  };
+}
+
+// Laster konfigurasjonen: standardverdier, så filen i CONFIG_FILE (eller config.json
+// hvis den finnes), så miljøvariabler. Kaster ConfigError med alle feil samlet.
+function loadConfig({ env = process.env, baseDir = process.cwd(), priceProviders = [] } = {}) {
+  const file = env.CONFIG_FILE ? path.resolve(baseDir, env.CONFIG_FILE) : path.join(baseDir, 'config.json');
+  if (env.CONFIG_FILE && !fs.existsSync(file)) throw new ConfigError([`Config file ${file} does not exist`]);
+
+  let config = DEFAULTS;
+  if (fs.existsSync(file)) config = merge(config, readConfigFile(file));
+  config = merge(config, fromEnv(env, isPlainObject(config.NETWORKS) ? config.NETWORKS : {}));
+
+  const problems = validate(config, { priceProviders });
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  const networks = Object.fromEntries(Object.keys(config.NETWORKS).map(name => [name, resolveNetwork(config, name)]));
+  const networkTokens = Object.values(networks).map(network => network.tokens);
+
+  return {
+    ...config,
+    TAX_RELEVANT_FUNCTIONS: config.TAX_RELEVANT_FUNCTIONS.map(func => func.toLowerCase()),
+    SUPPORTED_FIAT_CURRENCIES: config.SUPPORTED_FIAT_CURRENCIES.map(currency => currency.toUpperCase()),
+    FIAT_CURRENCY: config.FIAT_CURRENCY.toUpperCase(),
+    PRICE_CACHE_FILE: path.resolve(baseDir, config.PRICE_CACHE_FILE),
+    WALLET_STORE_DIR: path.resolve(baseDir, config.WALLET_STORE_DIR),
+    USAGE_FILE: path.resolve(baseDir, config.USAGE_FILE),
+    KNOWN_TOKEN_DECIMALS: Object.assign(
+      {},
+      ...networkTokens.map(tokens => Object.fromEntries(Object.values(tokens).map(token => [token, 18]))),
+      config.KNOWN_TOKEN_DECIMALS
+    ),
+    // Wrappede/låste tokens prises som underliggende token
+    PRICE_ALIASES: Object.assign(
+      {},
+      ...networkTokens.map(({ WEGLD, MEX, XMEX }) => ({
+        ...(WEGLD && { [WEGLD]: 'EGLD' }),
+        ...(XMEX && MEX && { [XMEX]: MEX })
+      })),
+      config.PRICE_ALIASES
+    ),
+    networks
+  };
+}
+
+module.exports = {
+  ConfigError,
+  DEFAULTS,
+  loadConfig
+};
@@ -0,0 +1,55 @@
+const { decodeBase64ToString, decodeBase64ToHex, decodeHexToBigInt } = require('./classifiers/helpers');
+const { toFlatRows } = require('./ledger');
+
+const PRINTABLE = /^[\x20-\x7e]+$/;
+
+// En topic kan være tekst (token, hendelsesnavn), et tall (beløp, nonce) eller en adresse (hex).
+// Alle tolkningene tas med; det er opp til leseren å vite hvilken som gjelder.
+function decodeTopic(topic) {
+  const hex = topic ? decodeBase64ToHex(topic) : '';
+  const text = topic ? decodeBase64ToString(topic) : '';
+  return {
+    raw: topic,
+    hex,
+    text: PRINTABLE.test(text) ? text : null,
+    number: hex ? decodeHexToBigInt(hex).toString() : '0'
+  };
+}
+
+const decodeData = data => (data ? decodeBase64ToString(data) : null);
+
+const decodeEvent = event => ({
+  ...event,
+  decodedTopics: (event.topics || []).map(decodeTopic),
+  decodedData: decodeData(event.data)
+});
+
+const decodeLogs = logs => ({ ...logs, events: (logs?.events || []).map(decodeEvent) });
+
+const decodeResult = result => ({
+  ...result,
+  decodedData: decodeData(result.data),
+  ...(result.logs && { logs: decodeLogs(result.logs) })
+});
+
+// Sporingen av én klassifisering (se createTrace i lib/classifiers) sammen med rådataene
+// den bygde på og hendelsen og radene som ble resultatet
+function explainTransaction({ walletAddress, details, trace, event }) {
+  const { operations = [], logs, results = [], ...transaction } = details;
+  return {
+    txHash: details.txHash,
+    walletAddress,
+    transaction,
+    operations,
+    logs: decodeLogs(logs),
+    results: results.map(decodeResult),
+    classification: { notes: trace.notes, rules: trace.rules },
+    event,
+    rows: event ? toFlatRows(event) : []
+  };
+}
+
+module.exports = {
+  decodeTopic,
+  explainTransaction
+};
@@ -0,0 +1,167 @@
+const BigNumber = require('bignumber.js');
+
+const EXCHANGE_NAME = 'MultiversX';
+const FEE_CURRENCY = 'EGLD';
+// Farmfunksjonene betaler også belønninger; radene for selve posisjonen er merket position
+const REWARD_FUNCTIONS = [
+  'claimrewards', 'claimrewardsproxy', 'redelegaterewards',
+  'enterfarm', 'enterfarmproxy', 'exitfarm', 'exitfarmproxy', 'mergefarmtokens', 'mergewrappedfarmtokens'
+];
+
+const isNonZero = amount => amount && !new BigNumber(amount).isZero();
+
+// Felles type for en rad i taxRelevantTransactions, brukt til å velge etikett per format
+function classifyRow(row) {
+  const hasIn = isNonZero(row.inAmount);
+  const hasOut = isNonZero(row.outAmount);
+  if (REWARD_FUNCTIONS.includes(row.function) && hasIn && !row.position) return 'reward';
+  if (hasIn && hasOut) return 'trade';
+  if (hasIn) return 'deposit';
+  if (hasOut) return 'withdrawal';
+  return 'fee';
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+function formatDate(timestamp, style) {
+  const d = new Date(timestamp * 1000);
+  const date = [d.getUTCFullYear(), pad(d.getUTCMonth() + 1), pad(d.getUTCDate())];
+  const time = [pad(d.getUTCHours()), pad(d.getUTCMinutes()), pad(d.getUTCSeconds())];
+  if (style === 'cointracking') return `${date.reverse().join('.')} ${time.join(':')}`;
+  return `${date.join('-')} ${time.join(':')} UTC`;
+}
+
+const amountOrEmpty = amount => (isNonZero(amount) ? amount : '');
+const valueOrEmpty = value => (value === undefined || value === null ? '' : value);
+
+// Verdien av transaksjonen i fiat: mottatt ben, ellers sendt ben, ellers gebyret
+function netWorth(row) {
+  if (!row.fiatCurrency) return '';
+  if (isNonZero(row.inAmount)) return valueOrEmpty(row.inValue);
+  if (isNonZero(row.outAmount)) return valueOrEmpty(row.outValue);
+  return valueOrEmpty(row.feeValue);
+}
+
+// Koinly universal format
+const KOINLY_LABELS = { reward: 'reward', fee: 'cost' };
+
+function koinlyRow(row) {
+  const type = classifyRow(row);
+  const fee = amountOrEmpty(row.fee);
+  const worth = netWorth(row);
+  const base = {
+    'Date': formatDate(row.timestamp, 'koinly'),
+    'Sent Amount': amountOrEmpty(row.outAmount),
+    'Sent Currency': isNonZero(row.outAmount) ? row.outCurrency : '',
+    'Received Amount': amountOrEmpty(row.inAmount),
+    'Received Currency': isNonZero(row.inAmount) ? row.inCurrency : '',
+    'Fee Amount': fee,
+    'Fee Currency': fee ? FEE_CURRENCY : '',
+    'Net Worth Amount': worth,
+    'Net Worth Currency': worth ? row.fiatCurrency : '',
+    'Label': KOINLY_LABELS[type] || '',
+    'Description': row.function,
+    'TxHash': row.txHash
+  };
+  // Rene gebyrrader føres som sendt beløp med etiketten "cost"
+  if (type === 'fee' && fee) {
+    base['Sent Amount'] = fee;
+    base['Sent Currency'] = FEE_CURRENCY;
+    base['Fee Amount'] = '';
+    base['Fee Currency'] = '';
+  }
+  return base;
+}
+
+const COINTRACKING_TYPES = {
+  reward: 'Reward / Bonus',
+  trade: 'Trade',
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  fee: 'Other Fee'
+};
+
+function coinTrackingRow(row) {
+  const type = classifyRow(row);
+  const fee = amountOrEmpty(row.fee);
+  const base = {
+    'Type': COINTRACKING_TYPES[type],
+    'Buy Amount': amountOrEmpty(row.inAmount),
+    'Buy Currency': isNonZero(row.inAmount) ? row.inCurrency : '',
+    'Sell Amount': amountOrEmpty(row.outAmount),
+    'Sell Currency': isNonZero(row.outAmount) ? row.outCurrency : '',
+    'Fee': fee,
+    'Fee Currency': fee ? FEE_CURRENCY : '',
+    'Exchange': EXCHANGE_NAME,
+    'Trade-Group': '',
+    'Comment': row.function,
+    'Date': formatDate(row.timestamp, 'cointracking'),
+    'Tx-ID': row.txHash
+  };
+  if (type === 'fee' && fee) {
+    base['Sell Amount'] = fee;
+    base['Sell Currency'] = FEE_CURRENCY;
+    base['Fee'] = '';
+    base['Fee Currency'] = '';
+  }
+  return base;
+}
+
+function genericRow(row) {
+  return {
+    'Date': new Date(row.timestamp * 1000).toISOString(),
+    'Type': classifyRow(row),
+    'In Amount': row.inAmount,
+    'In Currency': isNonZero(row.inAmount) ? row.inCurrency : '',
+    'Out Amount': row.outAmount,
+    'Out Currency': isNonZero(row.outAmount) ? row.outCurrency : '',
+    'Fee': row.fee,
+    'Fee Currency': FEE_CURRENCY,
+    'In Value': valueOrEmpty(row.inValue),
+    'Out Value': valueOrEmpty(row.outValue),
+    'Fee Value': valueOrEmpty(row.feeValue),
+    'Fiat Currency': row.fiatCurrency || '',
+    'Price Missing': row.priceMissing ? 'yes' : '',
+    'Function': row.function,
+    'Wallet': row.wallet || '',
+    'TxHash': row.txHash
+  };
+}
+
+const EXPORT_FORMATS = {
+  koinly: {
+    headers: ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+    toRow: koinlyRow
+  },
+  cointracking: {
+    headers: ['Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency', 'Fee', 'Fee Currency', 'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID'],
+    toRow: coinTrackingRow
+  },
+  generic: {
+    headers: ['Date', 'Type', 'In Amount', 'In Currency', 'Out Amount', 'Out Currency', 'Fee', 'Fee Currency', 'In Value', 'Out Value', 'Fee Value', 'Fiat Currency', 'Price Missing', 'Function', 'Wallet', 'TxHash'],
+    toRow: genericRow
+  }
+};
+
+const escapeCsv = value => {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+function renderCsv(rows, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+  const lines = [spec.headers.map(escapeCsv).join(',')];
+  for (const row of rows) {
+    const mapped = spec.toRow(row);
+    lines.push(spec.headers.map(header => escapeCsv(mapped[header])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  classifyRow,
+  renderCsv
+};
@@ -0,0 +1,35 @@
+const { formatAmount, decodeBase64ToString } = require('./classifiers/helpers');
+
+const initialFee = tx => (tx.gasLimit && tx.gasPrice ? BigInt(tx.gasLimit) * BigInt(tx.gasPrice) : null);
+
+// Gasrefusjon: et smart contract result med "@ok" som sender ubrukt gass tilbake
+// til avsenderen. Refusjonen kan aldri overstige det opprinnelige gebyret.
+function isGasRefund(result, tx) {
+  if (result.receiver !== tx.sender || BigInt(result.value || 0) <= 0) return false;
+  if (result.isRefund) return true;
+  const initial = initialFee(tx);
+  return result.prevTxHash === tx.txHash &&
+    decodeBase64ToString(result.data || '').startsWith('@6f6b') &&
+    initial !== null && BigInt(result.value) <= initial;
+}
+
+const gasRefunds = (tx, results = []) => results.filter(result => isGasRefund(result, tx));
+
+// Gebyret belastes bare avsenderen. Rapporterer API-et gebyret før refusjon
+// (lik gasLimit * gasPrice), trekkes refusjonene fra.
+function transactionFee(tx, wallet, results = []) {
+  if (tx.sender !== wallet) return { fee: '0', gasRefund: '0' };
+
+  const initial = initialFee(tx);
+  let fee = tx.fee !== undefined ? BigInt(tx.fee) : (initial ?? BigInt(0));
+  const refund = gasRefunds(tx, results).reduce((sum, result) => sum + BigInt(result.value), BigInt(0));
+  if (refund > 0 && initial !== null && fee === initial) fee -= refund;
+
+  return { fee: formatAmount(fee, 18), gasRefund: formatAmount(refund, 18) };
+}
+
+module.exports = {
+  isGasRefund,
+  gasRefunds,
+  transactionFee
+};
@@ -0,0 +1,239 @@
+const BigNumber = require('bignumber.js');
+const { classifyRow } = require('./export');
+
+const FIAT_DECIMALS = 2;
+const COST_BASIS_METHODS = ['fifo', 'average'];
+// Wrapping endrer ikke eierskap; kostpris og anskaffelsesdato følger med over
+const WRAP_FUNCTIONS = {
+  wrapegld: { from: 'EGLD', to: 'WEGLD' },
+  unwrapegld: { from: 'WEGLD', to: 'EGLD' }
+};
+
+const ZERO = new BigNumber(0);
+const big = value => new BigNumber(value || 0);
+const isNonZero = amount => amount && !big(amount).isZero();
+const fiat = value => value.toFixed(FIAT_DECIMALS);
+const yearOf = timestamp => new Date(timestamp * 1000).getUTCFullYear();
+
+// Lotbeholdning per token. FIFO holder lotene i anskaffelsesrekkefølge,
+// gjennomsnittsmetoden slår alt sammen til én lot per token.
+function createLotBook(method) {
+  const lots = new Map();
+
+  const lotsFor = token => {
+    if (!lots.has(token)) lots.set(token, []);
+    return lots.get(token);
+  };
+
+  function add(token, lot) {
+    const tokenLots = lotsFor(token);
+    if (method === 'average' && tokenLots.length > 0) {
+      const pool = tokenLots[0];
+      pool.amount = pool.amount.plus(lot.amount);
+      pool.cost = pool.cost.plus(lot.cost);
+      return;
+    }
+    tokenLots.push({ ...lot });
+  }
+
+  // Tar ut et beløp og returnerer de matchede lotene med forholdsmessig kostpris
+  function take(token, amount) {
+    const tokenLots = lotsFor(token);
+    const matched = [];
+    let remaining = amount;
+
+    while (remaining.gt(0) && tokenLots.length > 0) {
+      const lot = tokenLots[0];
+      const used = BigNumber.min(lot.amount, remaining);
+      const cost = lot.amount.isZero() ? ZERO : lot.cost.times(used).dividedBy(lot.amount);
+      matched.push({ ...lot, amount: used, cost });
+
+      lot.amount = lot.amount.minus(used);
+      lot.cost = lot.cost.minus(cost);
+      remaining = remaining.minus(used);
+      if (lot.amount.isZero()) tokenLots.shift();
+    }
+
+    return { matched, unmatched: remaining };
+  }
+
+  function open() {
+    const result = [];
+    for (const [token, tokenLots] of lots) {
+      for (const lot of tokenLots) {
+        if (lot.amount.gt(0)) result.push({ token, ...lot });
+      }
+    }
+    return result;
+  }
+
+  return { add, take, open };
+}
+
+const lotView = lot => ({
+  token: lot.token,
+  amount: lot.amount.toFixed(),
+  cost: fiat(lot.cost),
+  acquiredAt: lot.acquiredAt,
+  txHash: lot.txHash
+});
+
+function isWrap(row) {
+  const wrap = WRAP_FUNCTIONS[row.function];
+  if (!wrap || !isNonZero(row.inAmount) || !isNonZero(row.outAmount)) return false;
+  return row.outCurrency.split('-')[0] === wrap.from && row.inCurrency.split('-')[0] === wrap.to;
+}
+
+// Kostprisen til tokens som går inn i (eller ut av) en LP-/farmposisjon flyttes over til
+// det som mottas. Fordeles etter fiatverdi når alle mottatte ben har en, ellers likt.
+function carryPosition(book, rows) {
+  const outs = rows.filter(row => isNonZero(row.outAmount));
+  const ins = rows.filter(row => isNonZero(row.inAmount));
+  const { timestamp, txHash } = rows[0];
+
+  let cost = ZERO;
+  for (const row of outs) {
+    const { matched } = book.take(row.outCurrency, big(row.outAmount));
+    cost = matched.reduce((sum, lot) => sum.plus(lot.cost), cost);
+  }
+
+  const valued = ins.every(row => row.inValue !== undefined && row.inValue !== null);
+  const totalValue = ins.reduce((sum, row) => sum.plus(big(row.inValue)), ZERO);
+  for (const row of ins) {
+    const share = valued && totalValue.gt(0) ? big(row.inValue).dividedBy(totalValue) : new BigNumber(1).dividedBy(ins.length);
+    book.add(row.inCurrency, { amount: big(row.inAmount), cost: cost.times(share), acquiredAt: timestamp, txHash });
+  }
+}
+
+// Beregner realisert gevinst/tap per avhendelse fra taxRelevantTransactions
+// (med fiatverdier). openingLots er åpne lots fra forrige års rapport.
+function computeGains(rows, { method = 'fifo', openingLots = [] } = {}) {
+  if (!COST_BASIS_METHODS.includes(method)) throw new Error(`Unknown cost basis method: ${method}`);
+
+  const book = createLotBook(method);
+  const disposals = [];
+  const years = new Map();
+
+  for (const lot of openingLots) {
+    book.add(lot.token, {
+      amount: big(lot.amount),
+      cost: big(lot.cost),
+      acquiredAt: lot.acquiredAt,
+      txHash: lot.txHash
+    });
+  }
+
+  const summaryFor = year => {
+    if (!years.has(year)) {
+      years.set(year, { year, disposals: 0, proceeds: ZERO, costBasis: ZERO, gains: ZERO, losses: ZERO, income: ZERO, feesPaid: ZERO });
+    }
+    return years.get(year);
+  };
+
+  function dispose(row, token, amount, proceedsValue, kind) {
+    const { matched, unmatched } = book.take(token, big(amount));
+    const costBasis = matched.reduce((sum, lot) => sum.plus(lot.cost), ZERO);
+    const proceeds = big(proceedsValue);
+    const gain = proceeds.minus(costBasis);
+
+    disposals.push({
+      txHash: row.txHash,
+      timestamp: row.timestamp,
+      function: row.function,
+      kind,
+      token,
+      amount,
+      proceeds: fiat(proceeds),
+      costBasis: fiat(costBasis),
+      gain: fiat(gain),
+      lots: matched.map(lot => lotView({ token, ...lot })),
+      unmatchedAmount: unmatched.gt(0) ? unmatched.toFixed() : '0',
+      valueMissing: proceedsValue === null || proceedsValue === undefined
+    });
+
+    const summary = summaryFor(yearOf(row.timestamp));
+    summary.disposals++;
+    summary.proceeds = summary.proceeds.plus(proceeds);
+    summary.costBasis = summary.costBasis.plus(costBasis);
+    if (gain.gte(0)) summary.gains = summary.gains.plus(gain);
+    else summary.losses = summary.losses.plus(gain.negated());
+  }
+
+  const sorted = [...rows].sort((a, b) => a.timestamp - b.timestamp);
+
+  // Posisjonsradene til en transaksjon behandles samlet, ved den første av dem
+  const positionRows = new Map();
+  for (const row of sorted.filter(r => r.position)) {
+    if (!positionRows.has(row.txHash)) positionRows.set(row.txHash, []);
+    positionRows.get(row.txHash).push(row);
+  }
+
+  for (const row of sorted) {
+    const hasIn = isNonZero(row.inAmount);
+    const hasOut = isNonZero(row.outAmount);
+
+    if (row.position) {
+      if (positionRows.has(row.txHash)) {
+        carryPosition(book, positionRows.get(row.txHash));
+        positionRows.delete(row.txHash);
+      }
+    } else if (isWrap(row)) {
+      const { matched, unmatched } = book.take(row.outCurrency, big(row.outAmount));
+      for (const lot of matched) book.add(row.inCurrency, lot);
+      if (unmatched.gt(0)) {
+        book.add(row.inCurrency, { amount: unmatched, cost: ZERO, acquiredAt: row.timestamp, txHash: row.txHash });
+      }
+    } else {
+      if (hasOut) {
+        // I en handel er vederlaget verdien av det som ble mottatt
+        const proceeds = row.outValue ?? (hasIn ? row.inValue : null);
+        dispose(row, row.outCurrency, row.outAmount, proceeds, hasIn ? 'trade' : 'transfer');
+      }
+      if (hasIn) {
+        const cost = row.inValue ?? (hasOut ? row.outValue : null);
+        book.add(row.inCurrency, {
+          amount: big(row.inAmount),
+          cost: big(cost),
+          acquiredAt: row.timestamp,
+          txHash: row.txHash
+        });
+        if (classifyRow(row) === 'reward') {
+          const summary = summaryFor(yearOf(row.timestamp));
+          summary.income = summary.income.plus(big(cost));
+        }
+      }
+    }
+
+    if (isNonZero(row.fee)) {
+      dispose(row, 'EGLD', row.fee, row.feeValue, 'fee');
+      const summary = summaryFor(yearOf(row.timestamp));
+      summary.feesPaid = summary.feesPaid.plus(big(row.feeValue));
+    }
+  }
+
+  const yearlySummary = [...years.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(summary => ({
+      year: summary.year,
+      disposals: summary.disposals,
+      proceeds: fiat(summary.proceeds),
+      costBasis: fiat(summary.costBasis),
+      gains: fiat(summary.gains),
+      losses: fiat(summary.losses),
+      netGain: fiat(summary.gains.minus(summary.losses)),
+      income: fiat(summary.income),
+      feesPaid: fiat(summary.feesPaid)
+    }));
+
+  return {
+    method,
+    disposals,
+    yearlySummary,
+    openLots: book.open().map(lotView)
+  };
+}
+
+module.exports = {
+  COST_BASIS_METHODS,
+  computeGains
+};
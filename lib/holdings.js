@@ -0,0 +1,93 @@
+const BigNumber = require('bignumber.js');
+const { walletDeltas } = require('./reconcile');
+
+const FIAT_DECIMALS = 2;
+const ZERO = new BigNumber(0);
+const REPLAY_DIRECTIONS = ['forward', 'backward'];
+
+const big = value => new BigNumber(value || 0);
+const byTime = (a, b) => a.timestamp - b.timestamp || a.txHash.localeCompare(b.txHash);
+
+// Delegert EGLD eies fortsatt og hører med i formuen, selv om den står hos
+// staking-leverandøren og ikke i lommeboken (provider -> BigNumber)
+function stakedDeltas(event) {
+  const deltas = new Map();
+  const add = (provider, amount) => deltas.set(provider, (deltas.get(provider) || ZERO).plus(amount));
+  for (const l of event.legs) {
+    const provider = event.staking?.provider ?? l.counterparty;
+    if (l.principal) add(provider, l.direction === 'out' ? big(l.amount) : big(l.amount).negated());
+    // Reinvesterte belønninger legges rett til det som er delegert
+    else if (event.type === 'compounded-reward') add(provider, big(l.amount));
+  }
+  return deltas;
+}
+
+// Beholdning per sted: provider er null for lommeboken, ellers adressen der EGLD er delegert
+function createHoldings() {
+  const entries = new Map();
+  const keyOf = (provider, token) => `${provider || ''}:${token}`;
+
+  function add(provider, token, amount) {
+    const key = keyOf(provider, token);
+    if (!entries.has(key)) entries.set(key, { token, provider, amount: ZERO });
+    entries.get(key).amount = entries.get(key).amount.plus(amount);
+  }
+
+  function apply(event, sign) {
+    for (const [token, delta] of walletDeltas(event)) add(null, token, delta.times(sign));
+    for (const [provider, delta] of stakedDeltas(event)) add(provider, 'EGLD', delta.times(sign));
+  }
+
+  const list = () => [...entries.values()].filter(entry => !entry.amount.isZero());
+
+  return { add, apply, list };
+}
+
+// Beholdningen ved utgangen av cutoff (unix-sekunder). forward spiller hovedboken frem
+// fra null; backward starter i dagens saldo (current: [{ token, provider, amount }]) og
+// trekker fra alt som har skjedd etter cutoff.
+function holdingsAt(events, cutoff, { replay = 'forward', current = [] } = {}) {
+  const holdings = createHoldings();
+  if (replay === 'backward') {
+    current.forEach(({ token, provider, amount }) => holdings.add(provider, token, big(amount)));
+    events.filter(event => event.timestamp > cutoff).forEach(event => holdings.apply(event, -1));
+  } else {
+    [...events].sort(byTime).filter(event => event.timestamp <= cutoff).forEach(event => holdings.apply(event, 1));
+  }
+
+  return holdings.list()
+    .sort((a, b) => (a.provider || '').localeCompare(b.provider || '') || a.token.localeCompare(b.token))
+    .map(({ token, provider, amount }) => ({ token, location: provider ? 'staked' : 'wallet', provider, amount: amount.toFixed() }));
+}
+
+// Verdsetter beholdningen med kursen på datoen. Tokens uten kurs (f.eks. LP-tokens)
+// får value null og står i missingPrices; de er ikke med i totalValue.
+async function valueHoldings(holdings, { getPrice, timestamp, currency }) {
+  const valued = [];
+  for (const holding of holdings) {
+    const price = await getPrice(holding.token, timestamp, currency);
+    const value = price === null ? null : big(holding.amount).times(price).toFixed(FIAT_DECIMALS);
+    valued.push({ ...holding, price, value });
+  }
+  const totalValue = valued.reduce((sum, h) => (h.value === null ? sum : sum.plus(h.value)), ZERO);
+  return {
+    holdings: valued,
+    totalValue: totalValue.toFixed(FIAT_DECIMALS),
+    missingPrices: [...new Set(valued.filter(h => h.value === null).map(h => h.token))]
+  };
+}
+
+// Samlet verdi for en portefølje av verdsatte lommebøker
+function summarizeHoldings(wallets) {
+  return {
+    totalValue: wallets.reduce((sum, wallet) => sum.plus(wallet.totalValue), ZERO).toFixed(FIAT_DECIMALS),
+    missingPrices: [...new Set(wallets.flatMap(wallet => wallet.missingPrices))]
+  };
+}
+
+module.exports = {
+  REPLAY_DIRECTIONS,
+  holdingsAt,
+  valueHoldings,
+  summarizeHoldings
+};
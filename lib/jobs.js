@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('./logger');
+const { createProgressTracker } = require('./progress');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+class JobCancelledError extends Error {
+  constructor(jobId, { keepPartial = false } = {}) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.keepPartial = keepPartial;
+  }
+}
+
+// Jobbkø med begrenset samtidighet. Identiske jobber (samme nøkkel) som fortsatt
+// er i kø eller kjører slås sammen til én jobb. Alt som logges mens en jobb kjører
+// får jobId, og loggkonteksten (requestId, apiKey) fra forespørselen som opprettet den.
+//
+// En jobb som en forespørsel venter på (hold) avbrytes når ingen venter lenger og ingen
+// følger fremdriften (isWatched). keepPartial avgjør om det som er hentet beholdes.
+// Er jobben sendt inn med detach (POST /jobs), avbrytes den bare på forespørsel, også om
+// en ventende forespørsel er slått sammen med den.
+function createJobQueue({
+  runner,
+  concurrency = 2,
+  retentionMs = 3600000,
+  onProgress = () => {},
+  isWatched = () => false,
+  keepPartial: defaultKeepPartial = false,
+  logger = createLogger()
+}) {
+  const jobs = new Map();
+  const activeByKey = new Map();
+  const pending = [];
+  let running = 0;
+
+  const isFinished = job => FINISHED_STATUSES.includes(job.status);
+
+  function finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    if (activeByKey.get(job.key) === job) activeByKey.delete(job.key);
+    job.settle();
+  }
+
+  // Oppdateringen blir en typet hendelse (se lib/progress.js) som sendes til alle som lytter.
+  // Sluttsendingene kommer etter at statusen er satt, så resultatet kan hentes med én gang.
+  function report(job, update) {
+    job.progress = job.tracker.event(update);
+    for (const listenerId of job.listeners) onProgress(listenerId, job.progress);
+  }
+
+  async function run(job) {
+    running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    report(job, { stage: 'started', message: '🚀 Job started' });
+
+    const context = {
+      jobId: job.id,
+      signal: job.controller.signal,
+      reportProgress: update => report(job, update),
+      throwIfCancelled: () => {
+        if (job.cancelRequested) throw job.cancelError;
+      }
+    };
+
+    try {
+      const result = await logger.withContext({ ...job.context, jobId: job.id }, () => runner(job.params, context));
+      if (job.cancelRequested) throw job.cancelError;
+      finish(job, JOB_STATUS.COMPLETED, { result });
+      report(job, { type: 'completed', stage: 'completed', message: '🏁 Job completed', result: { jobId: job.id, href: `/jobs/${job.id}/result` } });
+    } catch (err) {
+      if (err instanceof JobCancelledError || job.cancelRequested) {
+        finish(job, JOB_STATUS.CANCELLED);
+        report(job, { type: 'cancelled', stage: 'cancelled', message: '🛑 Job cancelled', reason: job.cancelReason });
+      } else {
+        logger.error('Job failed', { jobId: job.id, error: err.message });
+        finish(job, JOB_STATUS.FAILED, { error: err.message });
+        report(job, { type: 'failed', stage: 'failed', message: '❌ Failed: ' + err.message, error: err.message });
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      if (job.status === JOB_STATUS.QUEUED) run(job);
+    }
+  }
+
+  // owner (f.eks. API-nøkkelen) legges til jobbens eiere, også når innsendingen slås sammen
+  function submit(key, params, { listenerId, detach = false, owner = null } = {}) {
+    const existing = activeByKey.get(key);
+    if (existing) {
+      if (listenerId) existing.listeners.add(listenerId);
+      if (detach) existing.detached = true;
+      if (owner) existing.owners.add(owner);
+      logger.info('Coalesced request onto job', { jobId: existing.id, status: existing.status });
+      return { job: existing, coalesced: true };
+    }
+
+    const job = {
+      id: uuidv4(),
+      key,
+      params,
+      context: logger.context(),
+      owners: new Set(owner ? [owner] : []),
+      tracker: null,
+      controller: new AbortController(),
+      holders: 0,
+      held: false,
+      detached: detach,
+      status: JOB_STATUS.QUEUED,
+      progress: null,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      cancelReason: null,
+      cancelError: null,
+      listeners: new Set(listenerId ? [listenerId] : []),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    job.listeners.add(job.id);
+    job.tracker = createProgressTracker({ jobId: job.id });
+    job.done = new Promise(resolve => { job.settle = () => resolve(job); });
+
+    jobs.set(job.id, job);
+    activeByKey.set(key, job);
+    pending.push(job);
+    report(job, { stage: 'queued', message: '⏳ Job queued' });
+    drain();
+    return { job, coalesced: false };
+  }
+
+  // Avbryter også kall mot API-et som pågår (signal). reason er 'requested' eller 'abandoned'.
+  function cancel(id, { keepPartial = defaultKeepPartial, reason = 'requested' } = {}) {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) return job || null;
+    if (job.cancelRequested) return job;
+
+    job.cancelRequested = true;
+    job.cancelReason = reason;
+    job.cancelError = new JobCancelledError(job.id, { keepPartial });
+    job.controller.abort(job.cancelError);
+    if (job.status === JOB_STATUS.QUEUED) {
+      finish(job, JOB_STATUS.CANCELLED);
+      report(job, { type: 'cancelled', stage: 'cancelled', message: '🛑 Job cancelled', reason });
+    }
+    return job;
+  }
+
+  function cancelIfAbandoned(job) {
+    if (isFinished(job) || job.detached || !job.held || job.holders > 0 || isWatched(job)) return;
+    logger.info('Cancelling abandoned job', { jobId: job.id });
+    cancel(job.id, { reason: 'abandoned' });
+  }
+
+  // En forespørsel venter på jobben til den returnerte funksjonen kalles (kan kalles flere ganger)
+  function hold(job) {
+    job.holders++;
+    job.held = true;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      job.holders--;
+      cancelIfAbandoned(job);
+    };
+  }
+
+  // Kalles når noen slutter å følge fremdriften til listenerId (clientId eller jobId)
+  function checkAbandoned(listenerId) {
+    for (const job of activeByKey.values()) {
+      if (job.listeners.has(listenerId)) cancelIfAbandoned(job);
+    }
+  }
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) jobs.delete(id);
+    }
+  }
+
+  setInterval(prune, Math.min(retentionMs, 600000)).unref();
+
+  return {
+    submit,
+    cancel,
+    hold,
+    checkAbandoned,
+    get: id => jobs.get(id) || null,
+    isFinished
+  };
+}
+
+// Offentlig visning av en jobb, uten resultatdata
+function describeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    params: job.params,
+    progress: job.progress,
+    cancelRequested: job.cancelRequested,
+    cancelReason: job.cancelReason,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    links: {
+      self: `/jobs/${job.id}`,
+      result: `/jobs/${job.id}/result`,
+      progress: `/progress/${job.id}`,
+      retry: `/jobs/${job.id}/retry`
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  JobCancelledError,
+  createJobQueue,
+  describeJob
+};
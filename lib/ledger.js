@@ -0,0 +1,126 @@
+const BigNumber = require('bignumber.js');
+const { transactionFee } = require('./fees');
+
+// Hovedbokshendelse: én per transaksjon, med vilkårlig mange ben
+// ({ direction, token, nonce, rawAmount, decimals, amount, source, group }).
+// Ben i samme gruppe kommer fra samme klassifiserer, f.eks. de to sidene av en swap.
+// Ben merket principal er staket hovedstol som fortsatt eies (se classifiers/staking.js),
+// ben merket position går inn i eller ut av en LP-/farmposisjon (se classifiers/liquidity.js).
+
+// Økes når klassifiseringen endres, slik at lagrede hendelser bygges på nytt
+const LEDGER_VERSION = 5;
+
+const sameTransfer = (a, b) =>
+  a.direction === b.direction && a.token === b.token && a.nonce === b.nonce && a.rawAmount === b.rawAmount;
+
+// Samme overføring rapporteres ofte både i value, operations, logs og scResults.
+// Et ben fra en annen kilde som matcher et allerede beholdt ben er et duplikat;
+// hvert beholdt ben kan bare matches én gang per kilde. En transaksjon har bare
+// én value, så to value-ben for samme overføring er alltid duplikater.
+// Benene gås gjennom baklengs slik at den mest spesifikke klassifisereren
+// (som kjører sist) beholder benet, og rekkefølgen gjenopprettes etterpå.
+function mergeLegs(legs) {
+  const kept = [];
+  const indexed = legs.map((leg, index) => ({ leg, index }));
+  for (const { leg: candidate, index } of indexed.reverse()) {
+    const duplicateOf = kept.find(existing =>
+      (existing.leg.source !== candidate.source || candidate.source === 'value') &&
+      !existing.matchedSources.has(candidate.source) &&
+      sameTransfer(existing.leg, candidate)
+    );
+    if (duplicateOf) {
+      duplicateOf.matchedSources.add(candidate.source);
+      duplicateOf.leg.counterparty = duplicateOf.leg.counterparty ?? candidate.counterparty;
+      continue;
+    }
+    kept.push({ leg: { ...candidate }, index, matchedSources: new Set() });
+  }
+  return kept.sort((a, b) => a.index - b.index).map(entry => entry.leg);
+}
+
+function deriveType(legs) {
+  const hasIn = legs.some(l => l.direction === 'in');
+  const hasOut = legs.some(l => l.direction === 'out');
+  if (hasIn && hasOut) return 'trade';
+  if (hasIn) return 'deposit';
+  if (hasOut) return 'withdrawal';
+  return 'fee';
+}
+
+function buildEvent(ctx, parts) {
+  const { tx, func, wallet, results } = ctx;
+  const legs = mergeLegs(parts.flatMap((part, group) => part.legs.map(l => ({ ...l, group }))));
+  const typed = parts.filter(part => part.type);
+  const { fee, gasRefund } = transactionFee(tx, wallet, results);
+
+  return {
+    txHash: tx.txHash,
+    timestamp: tx.timestamp,
+    wallet,
+    function: func || (legs.length > 0 ? 'transfer' : 'unknown'),
+    type: typed.length > 0 ? typed[typed.length - 1].type : deriveType(legs),
+    classifiers: [...new Set(parts.map(part => part.classifier))],
+    legs,
+    fee,
+    gasRefund,
+    staking: parts.find(part => part.staking)?.staking ?? null,
+    position: parts.find(part => part.position)?.position ?? null,
+    warnings: parts.flatMap(part => part.warnings || [])
+  };
+}
+
+// Flat visning (inAmount/inCurrency/outAmount/outCurrency per rad) for bakoverkompatibilitet.
+// Inn- og ut-ben i samme gruppe pares rad for rad; gebyret står på første rad.
+// position er satt på radene der kostprisen skal følge med over i en LP-/farmposisjon.
+// Interne overføringer mellom egne lommebøker og staket hovedstol er ikke skattemessige
+// bevegelser og utelates.
+function toFlatRows(event) {
+  const base = {
+    timestamp: event.timestamp,
+    function: event.function,
+    inAmount: '0',
+    inCurrency: 'EGLD',
+    outAmount: '0',
+    outCurrency: 'EGLD',
+    fee: '0',
+    txHash: event.txHash,
+    wallet: event.wallet,
+    position: false
+  };
+
+  const groups = new Map();
+  for (const l of event.legs) {
+    if (l.internal || l.principal) continue;
+    if (!groups.has(l.group)) groups.set(l.group, { in: [], out: [], position: false });
+    const group = groups.get(l.group);
+    group[l.direction].push(l);
+    if (l.position) group.position = true;
+  }
+
+  const rows = [];
+  for (const group of groups.values()) {
+    const count = Math.max(group.in.length, group.out.length);
+    for (let i = 0; i < count; i++) {
+      const row = { ...base, fee: rows.length === 0 ? event.fee : '0', position: group.position };
+      if (group.in[i]) Object.assign(row, { inAmount: group.in[i].amount, inCurrency: group.in[i].token });
+      if (group.out[i]) Object.assign(row, { outAmount: group.out[i].amount, outCurrency: group.out[i].token });
+      rows.push(row);
+    }
+  }
+
+  if (rows.length === 0) {
+    if (event.type === 'internal-transfer' && new BigNumber(event.fee).isZero()) return [];
+    rows.push({ ...base, fee: event.fee });
+  }
+  return rows;
+}
+
+const flattenLedger = events => events.flatMap(toFlatRows);
+
+module.exports = {
+  LEDGER_VERSION,
+  mergeLegs,
+  buildEvent,
+  toFlatRows,
+  flattenLedger
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'pretty'];
+const REDACT_MODES = ['none', 'truncate', 'hash'];
+
+const ADDRESS_PATTERN = /erd1[0-9a-z]{58}/g;
+
+// Lommebokadresser i loggen: truncate beholder starten og slutten, hash gir et stabilt
+// pseudonym slik at linjer for samme lommebok fortsatt kan kobles sammen
+const REDACTORS = {
+  none: text => text,
+  truncate: text => text.replace(ADDRESS_PATTERN, address => `${address.slice(0, 8)}…${address.slice(-4)}`),
+  hash: text => text.replace(ADDRESS_PATTERN, address => `erd1#${crypto.createHash('sha256').update(address).digest('hex').slice(0, 12)}`)
+};
+
+function redactValue(value, redact) {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, redact));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, redact)]));
+  }
+  return value;
+}
+
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const extra = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...extra].join(' ');
+};
+
+// Går gjennom console, slik at det som allerede fanger eller demper console også gjelder loggen
+const consoleWrite = (level, line) => {
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+};
+
+// Strukturert logger: én linje per hendelse, som JSON eller lesbar tekst. Felt satt med
+// withContext (f.eks. requestId og jobId) følger med på hver linje som logges innenfor,
+// også i asynkrone kall, uten at loggeren må sendes rundt.
+function createLogger({ level = 'info', format = 'json', redact = 'none', write = consoleWrite, now = () => new Date() } = {}) {
+  const storage = new AsyncLocalStorage();
+  const redactText = REDACTORS[redact];
+  let threshold = LOG_LEVELS[level];
+
+  function log(levelName, message, fields = {}) {
+    if (LOG_LEVELS[levelName] < threshold) return;
+    const entry = redactValue({ time: now().toISOString(), level: levelName, msg: message, ...storage.getStore(), ...fields }, redactText);
+    write(levelName, format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    context: () => storage.getStore() || {},
+    withContext: (fields, fn) => storage.run({ ...storage.getStore(), ...fields }, fn),
+    // console-lignende funksjon for meldinger bygd av flere argumenter (se ctx.log i lib/classifiers)
+    printer: levelName => (...args) => log(levelName, util.format(...args)),
+    // Sender linjene fra levelName og opp til to i stedet, f.eks. for å fange loggen i en test.
+    // Gir tilbake en funksjon som setter skriveren og nivået tilbake.
+    redirect(to, levelName = level) {
+      const previous = { write, threshold };
+      write = to;
+      threshold = LOG_LEVELS[levelName];
+      return () => {
+        ({ write, threshold } = previous);
+      };
+    }
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  REDACT_MODES,
+  createLogger
+};
@@ -0,0 +1,108 @@
+const { performance } = require('perf_hooks');
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = labels => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Én tidsserie per kombinasjon av etikettverdier, i rekkefølgen labelNames angir
+function createSeries(labelNames, initial) {
+  const series = new Map();
+  return {
+    get(labels = {}) {
+      const values = labelNames.map(name => String(labels[name] ?? ''));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) series.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...initial() });
+      return series.get(key);
+    },
+    all: () => [...series.values()]
+  };
+}
+
+// Tellere, målere og histogrammer i Prometheus' tekstformat, uten eksterne avhengigheter.
+// Etikettene bør ha få mulige verdier; adresser og hasher hører ikke hjemme der (se endpointOf).
+function createMetricsRegistry({ now = () => performance.now() } = {}) {
+  const metrics = [];
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    metrics.push({ name, help, type: 'counter', lines: () => series.all().map(s => `${name}${formatLabels(s.labels)} ${s.value}`) });
+    return {
+      inc: (labels, value = 1) => { series.get(labels).value += value; }
+    };
+  }
+
+  function gauge({ name, help, labelNames = [] }) {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    metrics.push({ name, help, type: 'gauge', lines: () => series.all().map(s => `${name}${formatLabels(s.labels)} ${s.value}`) });
+    return {
+      set: (labels, value) => { series.get(labels).value = value; },
+      inc: (labels, value = 1) => { series.get(labels).value += value; },
+      dec: (labels, value = 1) => { series.get(labels).value -= value; }
+    };
+  }
+
+  // Bøttene lagres kumulativt, slik formatet vil ha dem
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    const lines = () => series.all().flatMap(s => [
+      ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+      `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+      `${name}_count${formatLabels(s.labels)} ${s.count}`
+    ]);
+    metrics.push({ name, help, type: 'histogram', lines });
+
+    const observe = (labels, value) => {
+      const s = series.get(labels);
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    };
+    return {
+      observe,
+      // Returnerer en funksjon som registrerer tiden som har gått, i sekunder
+      startTimer: labels => {
+        const start = now();
+        return () => observe(labels, (now() - start) / 1000);
+      }
+    };
+  }
+
+  const render = () => metrics
+    .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n'))
+    .join('\n') + '\n';
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+// Stien til et upstream-kall uten adresser, hasher og token-identifikatorer, så antall
+// tidsserier holder seg lite: /accounts/erd1.../transactions blir /accounts/:address/transactions
+function endpointOf(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return 'unknown';
+  }
+  return pathname
+    .split('/')
+    .map(segment => {
+      if (/^erd1[0-9a-z]{58}$/.test(segment)) return ':address';
+      if (/^[0-9a-f]{64}$/.test(segment)) return ':hash';
+      if (/^[A-Z0-9]{3,10}-[0-9a-f]{6}(-[0-9a-f]+)?$/.test(segment)) return ':identifier';
+      return segment;
+    })
+    .join('/');
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  endpointOf
+};
@@ -0,0 +1,72 @@
+const { flattenLedger } = require('./ledger');
+
+// Markerer ben mot andre egne lommebøker som interne. En hendelse der alle ben
+// er interne er en ren flytting mellom egne adresser og får typen internal-transfer.
+function markInternal(event, owned) {
+  const legs = event.legs.map(l =>
+    l.counterparty && l.counterparty !== event.wallet && owned.has(l.counterparty) ? { ...l, internal: true } : l
+  );
+  const internal = legs.length > 0 && legs.every(l => l.internal);
+  return { ...event, legs, type: internal ? 'internal-transfer' : event.type };
+}
+
+const byTime = (a, b) =>
+  a.timestamp - b.timestamp || a.txHash.localeCompare(b.txHash) || a.wallet.localeCompare(b.wallet);
+
+// Slår sammen resultatene fra fetchWalletTransactions for hver lommebok i en portefølje
+// ([{ walletAddress, result }]) til én kronologisk hovedbok.
+function mergePortfolio(walletResults) {
+  const owned = new Set(walletResults.map(({ walletAddress }) => walletAddress));
+
+  const ledger = walletResults
+    .flatMap(({ result }) => result.ledger.map(event => markInternal(event, owned)))
+    .sort(byTime);
+
+  const allTransactions = new Map();
+  for (const { result } of walletResults) {
+    for (const tx of result.allTransactions) {
+      if (!allTransactions.has(tx.txHash)) allTransactions.set(tx.txHash, tx);
+    }
+  }
+
+  return {
+    wallets: [...owned],
+    allTransactions: [...allTransactions.values()].sort((a, b) => a.timestamp - b.timestamp),
+    ledger,
+    taxRelevantTransactions: flattenLedger(ledger),
+    internalTransfers: ledger.filter(event => event.type === 'internal-transfer').length,
+    failedTransactions: walletResults.flatMap(({ result }) => result.failedTransactions).sort(byTime),
+    complete: walletResults.every(({ result }) => result.complete),
+    pagination: Object.fromEntries(walletResults.map(({ walletAddress, result }) => [walletAddress, result.pagination]))
+  };
+}
+
+// Om alle transaksjonene i perioden ble hentet; pagination er per lommebok for porteføljer
+const listingComplete = result =>
+  (result.wallets ? Object.values(result.pagination) : [result.pagination]).every(pagination => pagination.complete);
+
+// Fletter transaksjoner som er klassifisert på nytt inn i et tidligere resultat (én lommebok
+// eller portefølje). recovered er [{ txHash, wallet, event }] og erstatter den ufullstendige
+// hendelsen transaksjonen hadde; failedTransactions er de som fortsatt mangler detaljer.
+function mergeRecovered(result, recovered, failedTransactions) {
+  const owned = new Set(result.wallets || []);
+  const replaced = new Set(recovered.map(({ txHash, wallet }) => `${wallet}:${txHash}`));
+  const ledger = [
+    ...result.ledger.filter(event => !replaced.has(`${event.wallet}:${event.txHash}`)),
+    ...recovered.filter(({ event }) => event).map(({ event }) => markInternal(event, owned))
+  ].sort(byTime);
+
+  return {
+    ...result,
+    ledger,
+    taxRelevantTransactions: flattenLedger(ledger),
+    ...(result.wallets && { internalTransfers: ledger.filter(event => event.type === 'internal-transfer').length }),
+    failedTransactions,
+    complete: listingComplete(result) && failedTransactions.length === 0
+  };
+}
+
+module.exports = {
+  mergePortfolio,
+  mergeRecovered
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const BigNumber = require('bignumber.js');
+const { splitIdentifier } = require('./classifiers/helpers');
+const { createLogger } = require('./logger');
+
+const FIAT_DECIMALS = 2;
+// En manglende pris huskes så lenge før den slås opp igjen; den lagres ikke i filen
+const MISSING_PRICE_TTL_MS = 3600000;
+// Eldste parkurs som brukes for å prise et token uten egen pris
+const PAIR_RATE_MAX_AGE_SECONDS = 30 * 86400;
+
+const dayKey = timestamp => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+// CoinGecko: daglig historisk pris per token. Tokens uten kjent CoinGecko-id gir null.
+function createCoinGeckoProvider({ httpGet, baseUrl = 'https://api.coingecko.com/api/v3', ids = {} }) {
+  return {
+    name: 'coingecko',
+    supports: token => Boolean(ids[token]),
+    async getPrice(token, date, currency) {
+      const id = ids[token];
+      const [year, month, day] = date.split('-');
+      const response = await httpGet(`${baseUrl}/coins/${id}/history`, {
+        date: `${day}-${month}-${year}`,
+        localization: false
+      });
+      const price = response.data?.market_data?.current_price?.[currency.toLowerCase()];
+      return typeof price === 'number' ? price : null;
+    }
+  };
+}
+
+const PRICE_PROVIDERS = {
+  coingecko: createCoinGeckoProvider
+};
+
+// Vedvarende priscache i en JSON-fil: { "EGLD:NOK:2024-01-31": 512.3 }. Eldre filer kan ha
+// null for priser som manglet; de leses ikke inn, så prisen slås opp på nytt.
+function createPriceCache(file, logger) {
+  let entries = {};
+  let saveTimer = null;
+
+  if (file && fs.existsSync(file)) {
+    try {
+      entries = Object.fromEntries(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))).filter(([, price]) => price !== null));
+    } catch (err) {
+      logger.warn('Could not read price cache', { file, error: err.message });
+    }
+  }
+
+  function save() {
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(entries));
+    } catch (err) {
+      logger.warn('Could not write price cache', { file, error: err.message });
+    }
+  }
+
+  return {
+    has: key => Object.prototype.hasOwnProperty.call(entries, key),
+    get: key => entries[key],
+    set(key, value) {
+      entries[key] = value;
+      if (file && !saveTimer) saveTimer = setTimeout(save, 1000);
+    }
+  };
+}
+
+// pairTokens er tokens andre tokens handles mot på DEX-en (EGLD og MEX, etter alias). Et token
+// uten pris (LP-, farm- og metatokens) prises med kursen mot et av dem fra en tidligere handel.
+// isCancellation skiller en avbrutt jobb fra andre feil: den kastes videre i stedet for å gi null.
+function createPriceService({
+  provider,
+  cacheFile,
+  aliases = {},
+  pairTokens = [],
+  onCacheLookup = () => {},
+  isCancellation = () => false,
+  now = Date.now,
+  logger = createLogger()
+}) {
+  const priceCache = createPriceCache(cacheFile, logger);
+  const unpriced = new Map();
+  const inFlight = new Map();
+
+  // Wrappede og låste tokens (WEGLD, XMEX) prises som underliggende token, også med nonce
+  const resolveToken = token => aliases[token] || aliases[splitIdentifier(token).collection] || token;
+
+  async function getPrice(token, timestamp, currency) {
+    const priced = resolveToken(token);
+    const date = dayKey(timestamp);
+    const key = `${priced}:${currency}:${date}`;
+    if (!provider.supports(priced)) return null;
+    if (unpriced.get(key) <= now()) unpriced.delete(key);
+    // Et oppslag som allerede er underveis regnes som treff; det gir ikke et nytt kall
+    const hit = priceCache.has(key) || unpriced.has(key) || inFlight.has(key);
+    onCacheLookup(hit);
+    if (priceCache.has(key)) return priceCache.get(key);
+    if (unpriced.has(key)) return null;
+    if (inFlight.has(key)) {
+      // Oppslaget hører til jobben som startet det. Avbrytes den, slår de som ventet opp på nytt selv.
+      return inFlight.get(key).catch(err => {
+        if (!isCancellation(err)) throw err;
+        return getPrice(token, timestamp, currency);
+      });
+    }
+
+    const lookup = (async () => {
+      try {
+        const price = await provider.getPrice(priced, date, currency);
+        if (price === null) unpriced.set(key, now() + MISSING_PRICE_TTL_MS);
+        else priceCache.set(key, price);
+        return price;
+      } catch (err) {
+        if (isCancellation(err)) throw err;
+        // Feil caches ikke, slik at prisen kan hentes på nytt senere
+        logger.warn('Could not fetch price', { token: priced, currency, date, error: err.message });
+        return null;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, lookup);
+    return lookup;
+  }
+
+  const isNonZero = amount => amount && !new BigNumber(amount).isZero();
+  const toFiat = (amount, price) => new BigNumber(amount).times(price).toFixed(FIAT_DECIMALS);
+
+  const isPairToken = token => pairTokens.includes(resolveToken(token));
+
+  // Kursen til et ben i et partoken: { pair, rate } der 1 token = rate pair, eller null
+  function pairRateOf(leg, rates, timestamp) {
+    if (isPairToken(leg.token)) return { pair: resolveToken(leg.token), rate: new BigNumber(1) };
+    const observed = rates.get(leg.token);
+    return observed && timestamp - observed.timestamp <= PAIR_RATE_MAX_AGE_SECONDS ? observed : null;
+  }
+
+  // Husker kursen mot et partoken for et token uten pris, fra en handel mot et partoken eller
+  // mot et token som selv har en slik kurs (f.eks. LP-token → farmtoken)
+  function observePairRate(legs, rates, timestamp) {
+    if (!isNonZero(legs.in.amount) || !isNonZero(legs.out.amount)) return;
+    for (const [known, unknown] of [[legs.in, legs.out], [legs.out, legs.in]]) {
+      const pairRate = pairRateOf(known, rates, timestamp);
+      if (!pairRate || isPairToken(unknown.token) || unknown.providerPriced) continue;
+      const rate = new BigNumber(known.amount).times(pairRate.rate).dividedBy(unknown.amount);
+      rates.set(unknown.token, { pair: pairRate.pair, rate, timestamp });
+    }
+  }
+
+  function deriveFromOtherLeg(legs) {
+    if (!isNonZero(legs.in.amount) || !isNonZero(legs.out.amount)) return;
+    if (legs.in.price === null && legs.out.price !== null) {
+      legs.in.price = new BigNumber(legs.out.amount).times(legs.out.price).dividedBy(legs.in.amount).toNumber();
+      legs.in.derived = true;
+    } else if (legs.out.price === null && legs.in.price !== null) {
+      legs.out.price = new BigNumber(legs.in.amount).times(legs.in.price).dividedBy(legs.out.amount).toNumber();
+      legs.out.derived = true;
+    }
+  }
+
+  // Legger fiatverdi på inn-, ut- og gebyrbenet. Mangler ett av benene i en
+  // handel pris, avledes den fra det andre benet (parkursen i selve handelen).
+  // Ellers prises benet med kursen mot EGLD/MEX fra en tidligere handel (rates,
+  // som enrichRows deler mellom radene), ganger prisen på partokenet den dagen.
+  async function enrichRow(row, currency, rates = new Map()) {
+    const legs = {
+      in: { amount: row.inAmount, token: row.inCurrency },
+      out: { amount: row.outAmount, token: row.outCurrency },
+      fee: { amount: row.fee, token: 'EGLD' }
+    };
+
+    for (const leg of Object.values(legs)) {
+      leg.price = isNonZero(leg.amount) ? await getPrice(leg.token, row.timestamp, currency) : null;
+      leg.providerPriced = leg.price !== null;
+    }
+
+    deriveFromOtherLeg(legs);
+    for (const leg of [legs.in, legs.out]) {
+      if (!isNonZero(leg.amount) || leg.price !== null) continue;
+      const pairRate = pairRateOf(leg, rates, row.timestamp);
+      const pairPrice = pairRate && await getPrice(pairRate.pair, row.timestamp, currency);
+      if (pairPrice === null || pairPrice === undefined) continue;
+      leg.price = pairRate.rate.times(pairPrice).toNumber();
+      leg.derived = true;
+    }
+    // Benet som ble priset med parkursen kan i sin tur prise det andre
+    deriveFromOtherLeg(legs);
+    observePairRate(legs, rates, row.timestamp);
+
+    const value = leg => {
+      if (!isNonZero(leg.amount)) return '0';
+      return leg.price === null ? null : toFiat(leg.amount, leg.price);
+    };
+    const missing = Object.entries(legs)
+      .filter(([, leg]) => isNonZero(leg.amount) && leg.price === null)
+      .map(([name, leg]) => ({ leg: name, token: leg.token }));
+
+    return {
+      ...row,
+      fiatCurrency: currency,
+      inValue: value(legs.in),
+      outValue: value(legs.out),
+      feeValue: value(legs.fee),
+      derivedPrices: Object.keys(legs).filter(name => legs[name].derived),
+      priceMissing: missing.length > 0,
+      missingPrices: missing
+    };
+  }
+
+  // Radene må komme i tidsrekkefølge, så kursene fra tidligere handler kan brukes
+  async function enrichRows(rows, currency, { onProgress = () => {} } = {}) {
+    const enriched = [];
+    const rates = new Map();
+    for (let i = 0; i < rows.length; i++) {
+      if (i % 50 === 0) onProgress({ stage: 'pricing', message: `💱 Pricing ${i + 1} of ${rows.length} transactions in ${currency}...`, processed: i, total: rows.length });
+      enriched.push(await enrichRow(rows[i], currency, rates));
+    }
+    return enriched;
+  }
+
+  return { getPrice, enrichRow, enrichRows };
+}
+
+module.exports = {
+  PRICE_PROVIDERS,
+  createPriceService
+};
@@ -0,0 +1,112 @@
+const SSE_FORMATS = ['text', 'json'];
+
+// Bygger typede fremdriftshendelser for én jobb (eller én forespørsel uten jobb). Oppdateringer er
+// { type?, stage?, message, processed?, total?, wallet?, ... }; steget og lommeboken gjelder til de
+// endres, og ETA regnes ut fra hvor lenge steget har pågått. message er teksten eldre klienter får.
+function createProgressTracker({ jobId = null, now = Date.now } = {}) {
+  let stage = null;
+  let stageStartedAt = null;
+  let wallet = null;
+  const warnings = [];
+
+  function event({ type = 'progress', stage: nextStage = stage, message, processed = null, total = null, wallet: nextWallet, ...extra }) {
+    const time = now();
+    if (nextStage !== stage) {
+      stage = nextStage;
+      stageStartedAt = time;
+    }
+    if (nextWallet) wallet = nextWallet;
+    if (type === 'warning') warnings.push(message);
+
+    const known = processed !== null && total !== null && total > 0;
+    const percent = known ? Math.min(100, Math.round((processed / total) * 1000) / 10) : null;
+    let etaSeconds = null;
+    if (known && processed >= total) etaSeconds = 0;
+    else if (known && processed > 0) etaSeconds = Math.round(((time - stageStartedAt) / processed) * (total - processed) / 1000);
+
+    return {
+      type,
+      jobId,
+      stage,
+      message,
+      processed,
+      total,
+      percent,
+      etaSeconds,
+      wallet,
+      warnings: [...warnings],
+      time: new Date(time).toISOString(),
+      ...extra
+    };
+  }
+
+  return { event, warnings };
+}
+
+// Hendelser per strøm (clientId eller jobId) med løpende id-er, slik at en klient som mistet
+// forbindelsen kan be om det den gikk glipp av (Last-Event-ID). Fremdrift i samme steg erstatter
+// den forrige i bufferet, så det holder seg lite selv for lommebøker med mange transaksjoner.
+function createProgressHub({ maxEvents = 200, retentionMs = 3600000, now = Date.now } = {}) {
+  const streams = new Map();
+
+  function streamFor(id) {
+    if (!streams.has(id)) streams.set(id, { nextId: 1, events: [], subscribers: new Set(), updatedAt: now() });
+    return streams.get(id);
+  }
+
+  function publish(streamId, event) {
+    const stream = streamFor(streamId);
+    const entry = { id: stream.nextId++, event };
+    const last = stream.events[stream.events.length - 1];
+    if (last && last.event.type === 'progress' && event.type === 'progress' && last.event.stage === event.stage && last.event.jobId === event.jobId) {
+      stream.events.pop();
+    }
+    stream.events.push(entry);
+    if (stream.events.length > maxEvents) stream.events.shift();
+    stream.updatedAt = now();
+    for (const subscriber of stream.subscribers) subscriber(entry);
+    return entry;
+  }
+
+  // Med after sendes først de lagrede hendelsene etter den id-en (0 gir alt som er lagret)
+  function subscribe(streamId, subscriber, { after = null } = {}) {
+    const stream = streamFor(streamId);
+    if (after !== null) {
+      for (const entry of stream.events) if (entry.id > after) subscriber(entry);
+    }
+    stream.subscribers.add(subscriber);
+    return () => {
+      stream.subscribers.delete(subscriber);
+      stream.updatedAt = now();
+    };
+  }
+
+  function prune() {
+    const cutoff = now() - retentionMs;
+    for (const [id, stream] of streams) {
+      if (stream.subscribers.size === 0 && stream.updatedAt < cutoff) streams.delete(id);
+    }
+  }
+
+  setInterval(prune, Math.min(retentionMs, 600000)).unref();
+
+  return {
+    publish,
+    subscribe,
+    isWatched: id => (streams.get(id)?.subscribers.size ?? 0) > 0,
+    prune
+  };
+}
+
+// Én SSE-melding: JSON-hendelsen, eller bare teksten for klienter som leser data-linjene som før
+function formatSseEvent({ id, event }, format) {
+  const data = format === 'json' ? JSON.stringify(event) : String(event.message).replace(/\r?\n/g, ' ');
+  return `id: ${id}\ndata: ${data}\n\n`;
+}
+
+module.exports = {
+  SSE_FORMATS,
+  createProgressTracker,
+  createProgressHub,
+  formatSseEvent
+};
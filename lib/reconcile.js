@@ -0,0 +1,118 @@
+const BigNumber = require('bignumber.js');
+
+const ZERO = new BigNumber(0);
+const big = value => new BigNumber(value || 0);
+const MAX_SUSPECTS = 5;
+
+// Reinvesterte belønninger føres som mottatt EGLD, men kommer aldri til lommeboken
+const NOT_IN_WALLET_TYPES = ['compounded-reward'];
+
+// Endringen en hendelse gir i lommebokens saldo per token (token -> BigNumber).
+// Alle ben teller, også interne overføringer, staket hovedstol og posisjoner,
+// siden de flytter tokens inn til eller ut fra adressen. EGLD-gebyret trekkes fra.
+function walletDeltas(event) {
+  const deltas = new Map();
+  const add = (token, amount) => deltas.set(token, (deltas.get(token) || ZERO).plus(amount));
+  if (!NOT_IN_WALLET_TYPES.includes(event.type)) {
+    for (const l of event.legs) add(l.token, l.direction === 'in' ? big(l.amount) : big(l.amount).negated());
+  }
+  if (!big(event.fee).isZero()) add('EGLD', big(event.fee).negated());
+  return deltas;
+}
+
+const byTime = (a, b) => a.timestamp - b.timestamp || a.txHash.localeCompare(b.txHash);
+
+// Spiller hovedboken for én lommebok av til løpende saldo per token.
+// Returnerer token -> { balance, history: [{ timestamp, txHash, balance }] }.
+function replayLedger(events) {
+  const tokens = new Map();
+
+  for (const event of [...events].sort(byTime)) {
+    for (const [token, delta] of walletDeltas(event)) {
+      if (!tokens.has(token)) tokens.set(token, { balance: ZERO, history: [] });
+      const entry = tokens.get(token);
+      entry.balance = entry.balance.plus(delta);
+      entry.history.push({ timestamp: event.timestamp, txHash: event.txHash, balance: entry.balance });
+    }
+  }
+  return tokens;
+}
+
+// De mest sannsynlige årsakene til et avvik, sterkeste først:
+// 1. saldoen blir negativ: en inngående overføring mangler før dette punktet
+// 2. en transaksjon flytter nøyaktig avviket: den er ført feil eller to ganger
+// 3. hull i hentingen der transaksjoner ikke kunne hentes
+// 4. transaksjoner klassifisert med advarsler
+// Uten noen av disse pekes det på hele perioden tokenet har vært aktivt.
+function findSuspects(token, difference, entry, events, gaps) {
+  const suspects = [];
+  const history = entry?.history || [];
+
+  const negative = history.findIndex(point => point.balance.isNegative());
+  if (negative !== -1) {
+    suspects.push({
+      reason: 'negative-balance',
+      from: negative > 0 ? history[negative - 1].timestamp : null,
+      to: history[negative].timestamp,
+      txHash: history[negative].txHash
+    });
+  }
+
+  const size = difference.abs();
+  for (const event of events) {
+    const match = event.legs.find(l => l.token === token && big(l.amount).isEqualTo(size));
+    const fee = token === 'EGLD' && big(event.fee).isEqualTo(size);
+    if (match || fee) suspects.push({ reason: 'amount-matches-difference', timestamp: event.timestamp, txHash: event.txHash });
+  }
+
+  for (const gap of gaps) {
+    suspects.push({ reason: 'fetch-gap', from: gap.timestamp, to: gap.timestamp });
+  }
+
+  for (const event of events) {
+    if (event.warnings.length === 0) continue;
+    if (event.legs.length > 0 && !event.legs.some(l => l.token === token)) continue;
+    suspects.push({ reason: 'classification-warning', timestamp: event.timestamp, txHash: event.txHash, warnings: event.warnings });
+  }
+
+  if (suspects.length === 0 && history.length > 0) {
+    suspects.push({ reason: 'token-activity', from: history[0].timestamp, to: history[history.length - 1].timestamp });
+  }
+  if (suspects.length === 0) suspects.push({ reason: 'no-ledger-activity' });
+  return suspects.slice(0, MAX_SUSPECTS);
+}
+
+// Sammenligner den avspilte hovedboken med faktisk saldo på kjeden
+// (actualBalances: token -> beløp med desimaler). difference er faktisk minus forventet.
+function reconcileWallet({ events, actualBalances, gaps = [] }) {
+  const replayed = replayLedger(events);
+  const tokens = [...new Set([...replayed.keys(), ...actualBalances.keys()])].sort();
+
+  const report = tokens.map(token => {
+    const expected = replayed.get(token)?.balance || ZERO;
+    const actual = big(actualBalances.get(token));
+    const difference = actual.minus(expected);
+    const row = {
+      token,
+      expected: expected.toFixed(),
+      actual: actual.toFixed(),
+      difference: difference.toFixed(),
+      status: difference.isZero() ? 'ok' : 'mismatch'
+    };
+    if (!difference.isZero()) row.suspects = findSuspects(token, difference, replayed.get(token), events, gaps);
+    return row;
+  });
+
+  const mismatched = report.filter(row => row.status === 'mismatch');
+  return {
+    matched: report.length - mismatched.length,
+    mismatched: mismatched.length,
+    tokens: [...mismatched, ...report.filter(row => row.status === 'ok')]
+  };
+}
+
+module.exports = {
+  walletDeltas,
+  replayLedger,
+  reconcileWallet
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+// Vedvarende lager per lommebok i <directory>/<adresse>.json:
+// {
+//   syncedFrom, syncedUntil,   // tidsrommet som er ferdig synkronisert (unix-sekunder)
+//   transactions: { txHash: tx },
+//   details: { txHash: detaljert tx },
+//   ledgerVersion, events: { txHash: hendelse | null }
+// }
+// Hendelsene er klassifiseringen av transaksjonen; null betyr at den ikke ga noen hendelse.
+// En lommebok holdes i minnet bare mens noen bruker den (withWallet); det som ikke er lagret
+// med save() før det, er borte neste gang den brukes.
+function createWalletStore({ directory, ledgerVersion, logger = createLogger() }) {
+  const wallets = new Map();
+  const locks = new Map();
+
+  const fileFor = address => path.join(directory, `${address}.json`);
+
+  function read(address) {
+    const file = fileFor(address);
+    const empty = { syncedFrom: null, syncedUntil: null, transactions: {}, details: {}, ledgerVersion, events: {} };
+    if (!fs.existsSync(file)) return empty;
+    try {
+      const data = { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+      // Klassifiseringen er endret siden sist; hendelsene bygges på nytt fra lagrede data
+      if (data.ledgerVersion !== ledgerVersion) {
+        data.events = {};
+        data.ledgerVersion = ledgerVersion;
+      }
+      return data;
+    } catch (err) {
+      logger.warn('Could not read wallet store', { file, error: err.message });
+      return empty;
+    }
+  }
+
+  function wallet(address) {
+    if (wallets.has(address)) return wallets.get(address);
+    const data = read(address);
+    const has = (map, hash) => Object.prototype.hasOwnProperty.call(map, hash);
+
+    const view = {
+      address,
+      get syncedFrom() { return data.syncedFrom; },
+      get syncedUntil() { return data.syncedUntil; },
+
+      // Delene av [start, end] som ikke er synkronisert. Tidsrommet holdes sammenhengende,
+      // så et intervall utenfor det lagrede fylles helt inn mot det.
+      missingRanges(start, end) {
+        if (end < start) return [];
+        if (data.syncedFrom === null) return [[start, end]];
+        const ranges = [];
+        if (start < data.syncedFrom) ranges.push([start, data.syncedFrom]);
+        if (end > data.syncedUntil) ranges.push([data.syncedUntil, end]);
+        return ranges;
+      },
+
+      markSynced(start, end) {
+        data.syncedFrom = data.syncedFrom === null ? start : Math.min(data.syncedFrom, start);
+        data.syncedUntil = data.syncedUntil === null ? end : Math.max(data.syncedUntil, end);
+      },
+
+      // Returnerer antall nye transaksjoner. En transaksjon som har endret status
+      // (f.eks. pending → success) klassifiseres på nytt.
+      addTransactions(transactions) {
+        let added = 0;
+        for (const tx of transactions) {
+          const existing = data.transactions[tx.txHash];
+          if (!existing) added++;
+          else if (existing.status !== tx.status) {
+            delete data.details[tx.txHash];
+            delete data.events[tx.txHash];
+          }
+          data.transactions[tx.txHash] = tx;
+        }
+        return added;
+      },
+
+      transactionsBetween(start, end) {
+        return Object.values(data.transactions)
+          .filter(tx => tx.timestamp >= start && tx.timestamp <= end)
+          .sort((a, b) => a.timestamp - b.timestamp);
+      },
+
+      getTransaction: hash => data.transactions[hash],
+      getDetails: hash => data.details[hash],
+      setDetails(hash, details) { data.details[hash] = details; },
+      hasEvent: hash => has(data.events, hash),
+      getEvent: hash => data.events[hash],
+      setEvent(hash, event) { data.events[hash] = event; },
+
+      async save() {
+        const file = fileFor(address);
+        try {
+          await fs.promises.mkdir(directory, { recursive: true });
+          await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(data));
+          await fs.promises.rename(`${file}.tmp`, file);
+        } catch (err) {
+          logger.warn('Could not write wallet store', { file, error: err.message });
+        }
+      }
+    };
+
+    wallets.set(address, view);
+    return view;
+  }
+
+  // Kjører fn med eksklusiv tilgang til lommeboken, slik at to jobber for samme
+  // adresse ikke synkroniserer samtidig. Når ingen flere venter, slippes den fra minnet.
+  function withWallet(address, fn) {
+    const previous = locks.get(address) || Promise.resolve();
+    let tail = null;
+    const current = previous.catch(() => {}).then(async () => {
+      try {
+        return await fn(wallet(address));
+      } finally {
+        if (locks.get(address) === tail) {
+          locks.delete(address);
+          wallets.delete(address);
+        }
+      }
+    });
+    tail = current.catch(() => {});
+    locks.set(address, tail);
+    return current;
+  }
+
+  return { withWallet };
+}
+
+module.exports = {
+  createWalletStore
+};
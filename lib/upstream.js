@@ -0,0 +1,176 @@
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+// Venter ms, men avviser med signalets reason straks det avbrytes
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Som promise, men avviser straks signalet avbrytes, også om promise fortsatt venter
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+class UpstreamError extends Error {
+  constructor(url, cause) {
+    super(`Failed to fetch ${url}: ${cause.message}`);
+    this.name = 'UpstreamError';
+    this.url = url;
+    this.status = cause.response?.status ?? null;
+  }
+}
+
+// Token bucket: ratePerSecond forespørsler i snitt, med inntil burst på rad.
+// Ventende forespørsler slippes til i rekkefølge. pauseUntil stopper alle, f.eks. ved 429.
+// take(signal) slutter å vente (og bruker ingen plass i køen) når signalet avbrytes.
+function createTokenBucket({ ratePerSecond, burst = ratePerSecond, now = Date.now, sleep = delay }) {
+  let tokens = burst;
+  let updatedAt = now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  function refill() {
+    const current = now();
+    tokens = Math.min(burst, tokens + ((current - updatedAt) / 1000) * ratePerSecond);
+    updatedAt = current;
+  }
+
+  async function acquire(signal) {
+    for (;;) {
+      signal?.throwIfAborted();
+      const paused = pausedUntil - now();
+      if (paused > 0) {
+        await sleep(paused, signal);
+        continue;
+      }
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000), signal);
+    }
+  }
+
+  return {
+    take(signal) {
+      const turn = queue.then(() => acquire(signal));
+      queue = turn.catch(() => {});
+      return abortable(turn, signal);
+    },
+    pauseUntil(timestamp) {
+      pausedUntil = Math.max(pausedUntil, timestamp);
+    }
+  };
+}
+
+// Retry-After er enten sekunder eller en HTTP-dato
+function retryAfterMs(header, now = Date.now()) {
+  if (header === undefined || header === null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Klientfeil (4xx) er endelige; bare 408, 429 og serverfeil/nettverksfeil prøves på nytt
+const isRetryable = status => status === null || status === undefined || status === 408 || status === 429 || status >= 500;
+
+// Felles HTTP-klient mot et eksternt API: alle kall går gjennom samme token bucket.
+// Ved 429 ventes det så lenge Retry-After sier (for alle kall), ellers eksponentiell backoff.
+// onAttempt kalles etter hvert forsøk som faktisk sendes, med status (null ved nettverksfeil),
+// varighet og om det prøves på nytt (retry: 'rate_limit', 'error' eller null).
+// getSignal gir et AbortSignal for kallet (f.eks. jobben det gjøres for); avbrytes det, stoppes
+// kallet som pågår og ventingen i køen eller før neste forsøk, og get kaster signalets reason.
+function createUpstreamClient({
+  name,
+  ratePerSecond,
+  burst,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 10000,
+  httpGet = axios.get,
+  now = Date.now,
+  sleep = delay,
+  onAttempt = () => {},
+  getSignal = () => undefined,
+  logger = createLogger()
+}) {
+  const bucket = createTokenBucket({ ratePerSecond, burst, now, sleep });
+
+  async function get(url, params = {}) {
+    const signal = getSignal();
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      await bucket.take(signal);
+      signal?.throwIfAborted();
+      logger.debug('Upstream request', { upstream: name, url, attempt: attempt + 1 });
+      const startedAt = now();
+      try {
+        const response = await httpGet(url, { params, timeout: timeoutMs, signal });
+        onAttempt({ url, status: response.status ?? 200, durationMs: now() - startedAt, retry: null });
+        return response;
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        const status = err.response?.status;
+        const retryable = isRetryable(status) && attempt < maxRetries - 1;
+        onAttempt({ url, status: status ?? null, durationMs: now() - startedAt, retry: retryable ? (status === 429 ? 'rate_limit' : 'error') : null });
+        if (!retryable) throw new UpstreamError(url, err);
+
+        const backoff = baseDelayMs * Math.pow(2, attempt) + Math.random() * 100;
+        if (status === 429) {
+          const wait = retryAfterMs(err.response.headers?.['retry-after'], now()) ?? backoff;
+          logger.warn('Upstream rate limit hit', { upstream: name, url, waitMs: Math.round(wait) });
+          bucket.pauseUntil(now() + wait);
+          continue;
+        }
+        logger.warn('Upstream request failed, retrying', { upstream: name, url, status: status ?? null, error: err.message, delayMs: Math.round(backoff) });
+        await sleep(backoff, signal);
+      }
+    }
+  }
+
+  // Ett enkelt forsøk utenom køen og uten nye forsøk, for helsesjekker
+  const probe = url => httpGet(url, { timeout: timeoutMs });
+
+  return { get, probe };
+}
+
+// Kjører fn for hvert element med høyst limit samtidige kall. Resultatene har samme rekkefølge som items.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+module.exports = {
+  UpstreamError,
+  createTokenBucket,
+  createUpstreamClient,
+  mapWithConcurrency,
+  chunk,
+  retryAfterMs
+};
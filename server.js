@@ -1,753 +1,1201 @@
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const NodeCache = require('node-cache');
 const cors = require('cors');
-const BigNumber = require('bignumber.js');
-const { v4: uuidv4 } = require('uuid');
+const { JOB_STATUS, JobCancelledError, createJobQueue, describeJob } = require('./lib/jobs');
+const { EXPORT_FORMATS, renderCsv } = require('./lib/export');
+const { PRICE_PROVIDERS, createPriceService } = require('./lib/prices');
+const { COST_BASIS_METHODS, computeGains } = require('./lib/gains');
+const { createTrace, createContext, attachDetails, createDefaultRegistry, valueTransferLeg } = require('./lib/classifiers');
+const { splitIdentifier, formatAmount } = require('./lib/classifiers/helpers');
+const { LEDGER_VERSION, buildEvent, flattenLedger } = require('./lib/ledger');
+const { mergePortfolio, mergeRecovered } = require('./lib/portfolio');
+const { reconcileWallet } = require('./lib/reconcile');
+const { REPLAY_DIRECTIONS, holdingsAt, valueHoldings, summarizeHoldings } = require('./lib/holdings');
+const { explainTransaction } = require('./lib/explain');
+const { createWalletStore } = require('./lib/store');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { createUpstreamClient, mapWithConcurrency, chunk } = require('./lib/upstream');
+const { createLogger } = require('./lib/logger');
+const { createAccessControl } = require('./lib/access');
+const { createMetricsRegistry, endpointOf } = require('./lib/metrics');
+const { SSE_FORMATS, createProgressTracker, createProgressHub, formatSseEvent } = require('./lib/progress');
 
 const app = express();
-const cache = new NodeCache({ stdTTL: 3600 });
 const tokenDecimalsCache = new NodeCache({ stdTTL: 86400 });
-const clientProgress = new Map();
-
-// Konfigurasjon
-const CONFIG = {
-  API_BASE_URL: 'https://api.multiversx.com',
-  PAGE_SIZE: 1000,
-  MAX_RETRIES: 5,
-  BASE_DELAY_MS: 1000,
-  CORS_ORIGINS: [
-    'https://www.multiversxdomain.com'
-  ],
-  TAX_RELEVANT_FUNCTIONS: [
-    'claimrewards', 'claimrewardsproxy', 'swap_tokens_fixed_input', 'swap_tokens_fixed_output',
-    'multipairswap', 'transfer', 'esdttransfer', 'multiesdtnfttransfer', 'swap', 'send',
-    'receive', 'wrapegld', 'unwrapegld', 'aggregateEgld' // Lagt til
-  ],
-  KNOWN_TOKEN_DECIMALS: {
-    'EGLD': 18,
-    'WEGLD-bd4d79': 18,
-    'MEX-455c57': 18,
-    'XMEX-fda355': 18
+const classifiers = createDefaultRegistry();
+
+// Konfigurasjon fra config.json og miljøvariabler (se lib/config.js). Ugyldig
+// konfigurasjon stopper serveren ved oppstart.
+function loadConfigOrExit() {
+  try {
+    return loadConfig({ baseDir: __dirname, priceProviders: Object.keys(PRICE_PROVIDERS) });
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    createLogger().error('Invalid configuration', { problems: err.problems });
+    process.exit(1);
   }
-};
+}
+
+const CONFIG = loadConfigOrExit();
+const logger = createLogger({ level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT, redact: CONFIG.LOG_REDACT_ADDRESSES });
+// Tester fanger eller demper loggen gjennom loggeren (se test/mock-api.js)
+app.locals.logger = logger;
+logger.info('Configuration loaded', { networks: Object.keys(CONFIG.networks), defaultNetwork: CONFIG.DEFAULT_NETWORK });
+
+const access = createAccessControl({
+  keys: CONFIG.API_KEYS,
+  defaults: { requestsPerHour: CONFIG.API_KEY_REQUESTS_PER_HOUR, transactionsPerDay: CONFIG.API_KEY_TRANSACTIONS_PER_DAY },
+  usageFile: CONFIG.USAGE_FILE,
+  logger
+});
+if (!access.enabled) logger.warn('No API keys configured, fetch and export routes are open');
+
+// Metrikker for GET /metrics. Etikettene holdes til få verdier: endepunkter uten adresser og hasher.
+const metrics = createMetricsRegistry();
+const upstreamRequests = metrics.counter({
+  name: 'proxy_upstream_requests_total',
+  help: 'Upstream HTTP requests by upstream, endpoint and status (error when there was no response)',
+  labelNames: ['upstream', 'endpoint', 'status']
+});
+const upstreamDuration = metrics.histogram({
+  name: 'proxy_upstream_request_duration_seconds',
+  help: 'Duration of upstream HTTP requests',
+  labelNames: ['upstream', 'endpoint']
+});
+const upstreamRetries = metrics.counter({
+  name: 'proxy_upstream_retries_total',
+  help: 'Upstream requests that are retried, by reason (rate_limit or error)',
+  labelNames: ['upstream', 'endpoint', 'reason']
+});
+const cacheLookups = metrics.counter({
+  name: 'proxy_cache_lookups_total',
+  help: 'Cache lookups by cache and result (hit or miss)',
+  labelNames: ['cache', 'result']
+});
+const stageDuration = metrics.histogram({
+  name: 'proxy_pipeline_stage_duration_seconds',
+  help: 'Duration of fetch pipeline stages: listing, details and classification per wallet, dedup per portfolio, pricing per job',
+  labelNames: ['stage']
+});
+const sseConnections = metrics.gauge({ name: 'proxy_sse_connections', help: 'Open SSE progress connections' });
+sseConnections.set({}, 0);
+
+const recordCacheLookup = (cache, hit) => cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
 
 app.use(cors({
   origin: (origin, callback) => {
     if (!origin || CONFIG.CORS_ORIGINS.includes(origin)) {
       callback(null, true);
     } else {
-      console.warn(`⚠️ CORS blocked for origin: ${origin}`);
+      logger.warn('CORS blocked', { origin });
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'X-Request-Id', 'X-API-Key'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After']
 }));
 app.use(express.json());
 
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+// Hver forespørsel får en requestId (eller beholder den klienten sendte), som følger med
+// på alle logglinjer den gir opphav til. Etter express.json, så konteksten ikke mistes.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+  logger.withContext({ requestId }, next);
+});
+
+// Hentings- og eksportrutene krever en API-nøkkel i X-API-Key når nøkler er konfigurert.
+// Nøkkelens navn legges i loggkonteksten, så jobber og kall mot API-et kan føres på den.
+const PROTECTED_ROUTES = ['/jobs', '/fetch-transactions', '/export', '/gains', '/reconcile', '/holdings', '/explain'];
+// app.post matcher hele stien, så ruter under /jobs som kaller API-et må stå her for å telle mot kvotene
+const QUOTA_ROUTES = [...PROTECTED_ROUTES, '/jobs/:id/retry'];
+
+const authenticateWith = readKey => (req, res, next) => {
+  if (!access.enabled) return next();
+  const client = access.authenticate(readKey(req));
+  if (!client) return res.status(401).json({ error: 'Missing or invalid API key' });
+  req.apiClient = client;
+  logger.withContext({ apiKey: client.name }, next);
+};
+
+const authenticate = authenticateWith(req => req.get('X-API-Key'));
+// EventSource i nettleseren kan ikke sette headere, så fremdriftsstrømmen tar også ?apiKey=
+const authenticateStream = authenticateWith(req => req.get('X-API-Key') || req.query.apiKey);
+
+// Bare forespørsler som starter en henting teller mot kvotene; oppslag på jobber gjør det ikke
+function enforceQuota(req, res, next) {
+  if (!req.apiClient) return next();
+  const exceeded = access.exceededQuota(req.apiClient);
+  if (exceeded) {
+    logger.warn('API key quota exceeded', { quota: exceeded.quota, limit: exceeded.limit });
+    res.setHeader('Retry-After', String(exceeded.retryAfterSeconds));
+    return res.status(429).json({
+      error: `Quota exceeded: ${exceeded.used} of ${exceeded.limit} ${exceeded.quota === 'requestsPerHour' ? 'requests this hour' : 'transactions today'}`,
+      quota: exceeded.quota,
+      limit: exceeded.limit,
+      used: exceeded.used,
+      resetsAt: new Date(exceeded.resetsAt).toISOString()
+    });
+  }
+  access.recordRequest(req.apiClient.name);
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!access.enabled) return res.status(404).json({ error: 'No API keys are configured' });
+  authenticate(req, res, () => {
+    if (!req.apiClient.admin) return res.status(403).json({ error: 'Admin API key required' });
+    next();
+  });
+}
+
+app.use(PROTECTED_ROUTES, authenticate);
+app.use('/progress', authenticateStream);
+app.post(QUOTA_ROUTES, enforceQuota);
+
+// Jobben med id-en, hvis nøkkelen har tilgang til den. En nøkkel ser bare jobber den har sendt
+// inn, også når innsendingen ble slått sammen med en annens jobb; admin-nøkler ser alle.
+function jobFor(req, id = req.params.id) {
+  const job = jobQueue.get(id);
+  if (!job || !req.apiClient || req.apiClient.admin || job.owners.has(req.apiClient.name)) return job;
+  return null;
+}
+
+// Fremdrift for en clientId går til en strøm per nøkkel, så to nøkler med samme clientId
+// ikke ser hverandres hentinger
+const clientStream = (req, clientId) => (clientId && req.apiClient ? `${req.apiClient.name}:${clientId}` : clientId);
+
+app.get('/admin/usage', requireAdmin, (req, res) => res.json({ keys: access.listUsage() }));
+
+app.get('/admin/usage/:name', requireAdmin, (req, res) => {
+  const usage = access.describeUsage(req.params.name);
+  if (!usage) return res.status(404).json({ error: 'API key not found' });
+  res.json(usage);
+});
 
 // Helse-endepunkt
 app.get('/health', (req, res) => res.send('OK'));
 
-// SSE for fremdriftsoppdateringer
+// Klar når API-et for standardnettverket svarer. Ett forsøk, utenom køen til de vanlige kallene.
+app.get('/ready', async (req, res) => {
+  const network = CONFIG.networks[CONFIG.DEFAULT_NETWORK];
+  const startedAt = Date.now();
+  try {
+    await mvxClient.probe(`${network.apiUrl}/stats`);
+    res.json({ status: 'ready', network: network.name, latencyMs: Date.now() - startedAt });
+  } catch (err) {
+    logger.warn('Readiness check failed', { network: network.name, error: err.message });
+    res.status(503).json({ status: 'unavailable', network: network.name, error: err.message });
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  res.setHeader('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
+// Fremdrift per clientId og jobId, med id-er så en klient kan ta igjen det den gikk glipp av
+const progressHub = createProgressHub({ retentionMs: CONFIG.JOB_RETENTION_MS });
+
+// SSE for fremdriftsoppdateringer. ?format=json gir typede JSON-hendelser; standard er bare
+// teksten, som før. Last-Event-ID (eller ?lastEventId=) sender først hendelsene etter den id-en.
 app.get('/progress/:id', (req, res) => {
+  const format = String(req.query.format || 'text').toLowerCase();
+  if (!SSE_FORMATS.includes(format)) return res.status(400).json({ error: `Unknown format. Supported: ${SSE_FORMATS.join(', ')}` });
+  const lastEventId = Number.parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+  // En jobbs strøm krever tilgang til jobben; andre id-er er en clientId for nøkkelen
+  const isJob = jobQueue.get(req.params.id) !== null;
+  if (isJob && !jobFor(req)) return res.status(404).json({ error: 'Job not found' });
+  const id = isJob ? req.params.id : clientStream(req, req.params.id);
+
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no');
+  const startTime = Date.now();
+  logger.info('SSE connection opened', { clientId: id, format, lastEventId: Number.isNaN(lastEventId) ? null : lastEventId });
+  sseConnections.inc();
 
-  const id = req.params.id;
-  console.log(`📡 SSE connection opened for clientId: ${id}`);
-
-  clientProgress.set(id, (msg) => {
+  const write = chunk => {
     try {
-      res.write(`data: ${msg}\n\n`);
+      res.write(chunk);
     } catch (err) {
-      console.warn(`⚠️ Error sending SSE message for clientId ${id}:`, err.message);
+      logger.warn('Could not send SSE message', { clientId: id, error: err.message });
     }
+  };
+
+  // Tilkoblingen og hjerteslagene lagres ikke og har ingen id
+  write('retry: 3000\n\n');
+  write(format === 'json'
+    ? `data: ${JSON.stringify({ type: 'connected', streamId: id })}\n\n`
+    : 'data: ✅ SSE connection established\n\n');
+  const unsubscribe = progressHub.subscribe(id, entry => write(formatSseEvent(entry, format)), {
+    after: Number.isNaN(lastEventId) ? null : lastEventId
   });
 
-  reportProgress(id, '✅ SSE connection established');
-
   const heartbeat = setInterval(() => {
-    reportProgress(id, '💓 Heartbeat');
+    write(format === 'json' ? ': heartbeat\n\n' : 'data: 💓 Heartbeat\n\n');
   }, 30000);
 
   const timeout = setTimeout(() => {
-    console.log(`📡 Timeout for clientId ${id}`);
-    clientProgress.delete(id);
+    logger.info('SSE connection timed out', { clientId: id });
     res.end();
   }, 600000);
 
   req.on('close', () => {
     clearInterval(heartbeat);
     clearTimeout(timeout);
-    console.log(`📡 SSE connection closed for clientId: ${id}, duration: ${(Date.now() - startTime) / 1000}s`);
-    clientProgress.delete(id);
+    logger.info('SSE connection closed', { clientId: id, durationMs: Date.now() - startTime });
+    sseConnections.dec();
+    unsubscribe();
     res.end();
+    jobQueue.checkAbandoned(id);
   });
-
-  const startTime = Date.now();
 });
 
-function reportProgress(clientId, message) {
-  const sender = clientProgress.get(clientId);
-  if (sender) {
-    console.log(`📨 Sending progress for clientId ${clientId}: ${message}`);
-    sender(message);
-  }
+function reportProgress(clientId, event) {
+  if (!clientId) return;
+  logger.debug('Sending progress', { clientId, type: event.type, stage: event.stage, message: event.message });
+  progressHub.publish(clientId, event);
 }
 
-const validateWalletAddress = (address) => /^erd1[0-9a-z]{58}$/.test(address);
-const decodeBase64ToString = (base64) => {
-  try { return Buffer.from(base64, 'base64').toString(); } catch { return ''; }
-};
-const decodeBase64ToHex = (base64) => {
-  try { return Buffer.from(base64, 'base64').toString('hex'); } catch { return '0'; }
-};
-const decodeHexToString = (hex) => {
-  try { return Buffer.from(hex, 'hex').toString(); } catch { return ''; }
+// Fremdrift fra en forespørsel før det finnes en jobb (validering)
+const reportRequestProgress = (clientId, update) => reportProgress(clientId, createProgressTracker().event({ stage: 'validation', ...update }));
+
+const validateWalletAddress = (address) => typeof address === 'string' && /^erd1[0-9a-z]{58}$/.test(address);
+
+// Felles klienter: alle kall mot samme API deler én rate limiter. Hvert forsøk telles i
+// metrikkene og føres på API-nøkkelen i loggkonteksten, også når det gjøres fra en jobb.
+// Kall fra en jobb avbrytes når jobben avbrytes (jobId i loggkonteksten gir jobben).
+const jobSignal = () => jobQueue.get(logger.context().jobId)?.controller.signal;
+const onUpstreamAttempt = upstream => ({ url, status, durationMs, retry }) => {
+  const endpoint = endpointOf(url);
+  upstreamRequests.inc({ upstream, endpoint, status: status ?? 'error' });
+  upstreamDuration.observe({ upstream, endpoint }, durationMs / 1000);
+  if (retry) upstreamRetries.inc({ upstream, endpoint, reason: retry });
+  const { apiKey } = logger.context();
+  if (apiKey) access.recordUpstreamCall(apiKey);
 };
-const decodeHexToBigInt = (hex) => {
-  try { return BigInt(`0x${hex}`); } catch { return BigInt(0); }
+const mvxClient = createUpstreamClient({
+  name: 'MultiversX API',
+  ratePerSecond: CONFIG.API_RATE_LIMIT_PER_SECOND,
+  burst: CONFIG.API_RATE_LIMIT_BURST,
+  maxRetries: CONFIG.MAX_RETRIES,
+  baseDelayMs: CONFIG.BASE_DELAY_MS,
+  onAttempt: onUpstreamAttempt('multiversx'),
+  getSignal: jobSignal,
+  logger
+});
+const priceClient = createUpstreamClient({
+  name: 'CoinGecko',
+  ratePerSecond: CONFIG.PRICE_RATE_LIMIT_PER_SECOND,
+  burst: CONFIG.PRICE_RATE_LIMIT_BURST,
+  maxRetries: CONFIG.MAX_RETRIES,
+  baseDelayMs: CONFIG.BASE_DELAY_MS,
+  onAttempt: onUpstreamAttempt('coingecko'),
+  getSignal: jobSignal,
+  logger
+});
+
+// NFT/SFT/MetaESDT har desimalene på kolleksjonen; NFT og SFT har ingen
+const collectionDecimals = collection => (collection.type === 'MetaESDT' ? collection.decimals ?? 18 : 0);
+
+const knownDecimals = (network, token) => {
+  if (!token || token === 'EGLD') return 18;
+  const { collection } = splitIdentifier(token);
+  if (CONFIG.KNOWN_TOKEN_DECIMALS[collection] !== undefined) return CONFIG.KNOWN_TOKEN_DECIMALS[collection];
+  return tokenDecimalsCache.get(`${network.name}:${collection}`);
 };
 
-function deduplicateTransactions(transactions) {
-  const seen = new Map();
-  const result = [];
-
-  for (const tx of transactions) {
-    const key = `${tx.txHash}:${tx.function}:${tx.inCurrency}:${tx.outCurrency}`; // Forbedret deduplisering
-    if (!seen.has(key)) {
-      seen.set(key, {
-        ...tx,
-        inAmounts: [],
-        outAmounts: []
-      });
-      result.push(seen.get(key));
-    } else {
-      const existing = seen.get(key);
-      if (tx.inAmount !== '0' && !existing.inAmounts.some(a => a.amount === tx.inAmount && a.currency === tx.inCurrency)) {
-        if (existing.inAmount === '0' || BigNumber(tx.inAmount).gt(existing.inAmount)) {
-          existing.inAmount = tx.inAmount;
-          existing.inCurrency = tx.inCurrency;
+async function getTokenDecimals(network, token) {
+  const known = knownDecimals(network, token);
+  recordCacheLookup('token_decimals', known !== undefined);
+  if (known !== undefined) return known;
+
+  const { collection, nonce } = splitIdentifier(token);
+  try {
+    const decimals = nonce === null
+      ? (await mvxClient.get(`${network.apiUrl}/tokens/${token}`)).data.decimals ?? 18
+      : collectionDecimals((await mvxClient.get(`${network.apiUrl}/collections/${collection}`)).data);
+    tokenDecimalsCache.set(`${network.name}:${collection}`, decimals);
+    return decimals;
+  } catch (err) {
+    // En avbrutt jobb skal ikke klassifisere videre med gjettede desimaler
+    if (err instanceof JobCancelledError) throw err;
+    logger.warn('Could not fetch token decimals', { token, error: err.message });
+    return 18;
+  }
+}
+
+// Slår opp desimaler for mange tokens i få kall (/tokens?identifiers=... for fungible tokens,
+// /collections?identifiers=... for NFT/SFT/MetaESDT). Det API-et ikke returnerer slås opp enkeltvis ved behov.
+async function prefetchTokenDecimals(network, tokens) {
+  const unknown = [...new Set(tokens)].filter(token => knownDecimals(network, token) === undefined).map(splitIdentifier);
+  const lookups = [
+    { path: 'tokens', ids: unknown.filter(t => t.nonce === null).map(t => t.collection), key: 'identifier', decimals: token => token.decimals ?? 18 },
+    { path: 'collections', ids: unknown.filter(t => t.nonce !== null).map(t => t.collection), key: 'collection', decimals: collectionDecimals }
+  ];
+
+  for (const { path: resource, ids, key, decimals } of lookups) {
+    await mapWithConcurrency(chunk([...new Set(ids)], CONFIG.DETAILS_BATCH_SIZE), CONFIG.DETAIL_CONCURRENCY, async batch => {
+      try {
+        const response = await mvxClient.get(`${network.apiUrl}/${resource}`, { identifiers: batch.join(','), size: batch.length });
+        for (const item of response.data) {
+          if (batch.includes(item[key])) tokenDecimalsCache.set(`${network.name}:${item[key]}`, decimals(item));
         }
-        existing.inAmounts.push({ amount: tx.inAmount, currency: tx.inCurrency });
+      } catch (err) {
+        if (err instanceof JobCancelledError) throw err;
+        logger.warn('Could not fetch token decimals', { resource, count: batch.length, error: err.message });
       }
-      if (tx.outAmount !== '0' && !existing.outAmounts.some(a => a.amount === tx.outAmount && a.currency === tx.outCurrency)) {
-        if (existing.outAmount === '0' || BigNumber(tx.outAmount).gt(existing.outAmount)) {
-          existing.outAmount = tx.outAmount;
-          existing.outCurrency = tx.outCurrency;
-        }
-        existing.outAmounts.push({ amount: tx.outAmount, currency: tx.outCurrency });
+    });
+  }
+}
+
+const priceService = createPriceService({
+  provider: PRICE_PROVIDERS[CONFIG.PRICE_PROVIDER]({ httpGet: priceClient.get, baseUrl: CONFIG.COINGECKO_API_URL, ids: CONFIG.COINGECKO_IDS }),
+  cacheFile: CONFIG.PRICE_CACHE_FILE,
+  aliases: CONFIG.PRICE_ALIASES,
+  pairTokens: ['EGLD', ...Object.values(CONFIG.networks).map(network => network.tokens.MEX).filter(Boolean)],
+  onCacheLookup: hit => recordCacheLookup('prices', hit),
+  isCancellation: err => err instanceof JobCancelledError,
+  logger
+});
+
+// Ett lager per nettverk, siden samme adresse kan finnes på flere nettverk
+const walletStores = Object.fromEntries(Object.keys(CONFIG.networks).map(name => [
+  name,
+  createWalletStore({ directory: path.join(CONFIG.WALLET_STORE_DIR, name), ledgerVersion: LEDGER_VERSION, logger })
+]));
+
+const FAILED_STATUSES = ['fail', 'invalid'];
+const FEE_ONLY_PART = { classifier: 'fee', type: 'fee', legs: [] };
+
+// Går gjennom hele perioden ved å flytte tidsvinduet (after) frem når API-ets
+// grense på from + size er nådd. Transaksjoner med samme tidsstempel kan dukke
+// opp i to vinduer, så de dedupliseres på txHash.
+async function fetchTransactionList(network, walletAddress, startTimestamp, endTimestamp, { onProgress = () => {}, throwIfCancelled = () => {} } = {}) {
+  const url = `${network.apiUrl}/accounts/${walletAddress}/transactions`;
+  const transactions = [];
+  const seen = new Set();
+  const gaps = [];
+  let windowStart = startTimestamp;
+  let windows = 0;
+
+  while (windowStart <= endTimestamp) {
+    windows++;
+    let lastTimestamp = windowStart;
+    let exhausted = false;
+
+    for (let fromIndex = 0; fromIndex + CONFIG.PAGE_SIZE <= CONFIG.MAX_RESULT_WINDOW; fromIndex += CONFIG.PAGE_SIZE) {
+      throwIfCancelled();
+      const params = {
+        after: windowStart,
+        before: endTimestamp,
+        size: CONFIG.PAGE_SIZE,
+        order: 'asc',
+        from: fromIndex
+      };
+      const response = await mvxClient.get(url, params);
+      const batch = response.data;
+      for (const tx of batch) {
+        if (seen.has(tx.txHash)) continue;
+        seen.add(tx.txHash);
+        transactions.push(tx);
       }
-      if (tx.fee !== '0' && existing.fee === '0') {
-        existing.fee = tx.fee;
+      if (batch.length > 0) lastTimestamp = batch[batch.length - 1].timestamp;
+      onProgress({ stage: 'listing', message: `📦 Fetched ${transactions.length} transactions...`, processed: transactions.length });
+      if (batch.length < CONFIG.PAGE_SIZE) {
+        exhausted = true;
+        break;
       }
-      console.log(`⚠️ Merged transaction: ${key}, in=${tx.inAmount} ${tx.inCurrency}, out=${tx.outAmount} ${tx.outCurrency}`);
     }
+
+    if (exhausted) break;
+
+    if (lastTimestamp > windowStart) {
+      logger.debug('Result window full, sliding start', { wallet: walletAddress, from: windowStart, to: lastTimestamp });
+      windowStart = lastTimestamp;
+      continue;
+    }
+
+    // Hele vinduet har samme tidsstempel, så det er umulig å komme videre innenfor det
+    logger.warn('Too many transactions share a timestamp, some could not be retrieved', { wallet: walletAddress, timestamp: windowStart, limit: CONFIG.MAX_RESULT_WINDOW });
+    gaps.push({ timestamp: windowStart, reason: `More than ${CONFIG.MAX_RESULT_WINDOW} transactions share this timestamp` });
+    windowStart++;
   }
 
-  return result.map(tx => ({
-    timestamp: tx.timestamp,
-    function: tx.function,
-    inAmount: tx.inAmount,
-    inCurrency: tx.inCurrency,
-    outAmount: tx.outAmount,
-    outCurrency: tx.outCurrency,
-    fee: tx.fee,
-    txHash: tx.txHash
-  }));
+  let expected = null;
+  try {
+    const response = await mvxClient.get(`${url}/count`, { after: startTimestamp, before: endTimestamp });
+    expected = Number(response.data);
+  } catch (err) {
+    if (err instanceof JobCancelledError) throw err;
+    logger.warn('Could not fetch transaction count', { wallet: walletAddress, error: err.message });
+  }
+
+  const missing = expected !== null && transactions.length < expected;
+  if (missing) {
+    logger.warn('Not all transactions were retrieved', { wallet: walletAddress, retrieved: transactions.length, expected });
+  }
+
+  return {
+    transactions,
+    pagination: {
+      complete: gaps.length === 0 && !missing,
+      expected,
+      retrieved: transactions.length,
+      windows,
+      gaps
+    }
+  };
 }
 
-async function fetchWithRetry(url, params, retries = CONFIG.MAX_RETRIES, delayMs = CONFIG.BASE_DELAY_MS) {
-  for (let i = 0; i < retries; i++) {
+const isTaxRelevant = ({ tx, func }) =>
+  CONFIG.TAX_RELEVANT_FUNCTIONS.includes(func) ||
+  classifiers.handles(func) ||
+  !func ||
+  tx.action?.category === 'mex' ||
+  tx.data?.startsWith('RVNEVFRyYW5zZmVy');
+
+// Om klassifiseringen vil trenge transaksjonsdetaljene. Tar heller med en for mye
+// enn en for lite; detaljene hentes uansett enkeltvis ved behov.
+const needsDetails = ctx =>
+  !FAILED_STATUSES.includes(ctx.tx.status) && (isTaxRelevant(ctx) || BigInt(ctx.tx.value || 0) > 0);
+
+// Henter detaljene for transaksjonene som trenger dem i bolker (/transactions?hashes=...),
+// med begrenset samtidighet, og slår opp desimalene til tokens de flytter.
+async function prefetchDetails(network, store, transactions, { onProgress, throwIfCancelled }) {
+  const missing = transactions
+    .filter(tx => !store.hasEvent(tx.txHash) && !store.getDetails(tx.txHash))
+    .filter(tx => needsDetails(createContext(tx, store.address, { network })))
+    .map(tx => tx.txHash);
+  if (missing.length === 0) return;
+
+  let fetched = 0;
+  const tokens = [];
+  await mapWithConcurrency(chunk(missing, CONFIG.DETAILS_BATCH_SIZE), CONFIG.DETAIL_CONCURRENCY, async batch => {
+    throwIfCancelled();
     try {
-      const response = await axios.get(url, { params, timeout: 10000 });
-      return response;
-    } catch (err) {
-      if (err.response?.status === 429) {
-        const wait = delayMs * Math.pow(2, i) + Math.random() * 100;
-        console.warn(`⚠️ Rate limit hit for ${url}, waiting ${wait}ms`);
-        await delay(wait);
-        continue;
+      const response = await mvxClient.get(`${network.apiUrl}/transactions`, {
+        hashes: batch.join(','),
+        size: batch.length,
+        withScResults: true,
+        withOperations: true,
+        withLogs: true
+      });
+      for (const detailed of response.data) {
+        if (!batch.includes(detailed.txHash)) continue;
+        store.setDetails(detailed.txHash, detailed);
+        tokens.push(...(detailed.operations || []).map(op => op.identifier).filter(Boolean));
+        fetched++;
       }
-      if (i === retries - 1) throw new Error(`Failed to fetch ${url}: ${err.message}`);
-      await delay(delayMs * Math.pow(2, i));
+    } catch (err) {
+      if (err instanceof JobCancelledError) throw err;
+      logger.warn('Could not fetch transaction details', { count: batch.length, error: err.message });
     }
-  }
+    onProgress({ stage: 'details', message: `🔎 Fetched details for ${fetched} of ${missing.length} transactions...`, processed: fetched, total: missing.length });
+  });
+
+  await prefetchTokenDecimals(network, tokens);
 }
 
-async function getTokenDecimals(token) {
-  if (!token || token === 'EGLD') return 18;
-  if (CONFIG.KNOWN_TOKEN_DECIMALS[token]) return CONFIG.KNOWN_TOKEN_DECIMALS[token];
-  if (tokenDecimalsCache.has(token)) return tokenDecimalsCache.get(token);
+// Klassifiserer én transaksjon til en hovedbokshendelse (eller null). Detaljer hentes
+// bare når klassifiseringen trenger dem, og lagres. Kunne ikke detaljene hentes, er error
+// satt og cacheable false, slik at transaksjonen klassifiseres på nytt neste gang; hendelsen
+// har da bare det som kunne leses av selve transaksjonen (EGLD-verdien og gebyret).
+async function classifyTransaction(tx, walletAddress, network, store, { trace = null } = {}) {
+  const ctx = createContext(tx, walletAddress, { network, getTokenDecimals: token => getTokenDecimals(network, token), trace, logger });
+  const { func } = ctx;
+  const paysFee = tx.sender === walletAddress && BigInt(tx.fee || 0) > 0;
+  ctx.log(`🔍 Raw tx ${tx.txHash}: function=${tx.function}, value=${tx.value}, receiver=${tx.receiver}, action=${JSON.stringify(tx.action)}, data=${tx.data}`);
+
+  // Mislykkede transaksjoner flytter ingen verdier, men avsenderen betaler gebyret
+  if (FAILED_STATUSES.includes(tx.status)) {
+    ctx.log(`⚠️ Tx ${tx.txHash} has status ${tx.status}, recording fee only`);
+    return { event: paysFee ? buildEvent(ctx, [FEE_ONLY_PART]) : null, cacheable: true };
+  }
 
+  const parts = [];
+  const valueLeg = valueTransferLeg(ctx);
+  if (valueLeg) {
+    parts.push({ classifier: 'egld-transfer', legs: [valueLeg] });
+    ctx.state.hasAddedEGLD = true;
+  }
+
+  if (!isTaxRelevant(ctx) && !valueLeg) {
+    if (paysFee) {
+      ctx.log(`⚠️ Tx ${tx.txHash}: function ${func} not tax-relevant, recording fee only`);
+      return { event: buildEvent(ctx, [FEE_ONLY_PART]), cacheable: true };
+    }
+    ctx.log(`⚠️ Skipping tx ${tx.txHash}: function ${func} not tax-relevant, no EGLD transfer`);
+    return { event: null, cacheable: true };
+  }
+
+  let error = null;
   try {
-    const response = await axios.get(`${CONFIG.API_BASE_URL}/tokens/${token}`, { timeout: 5000 });
-    const decimals = response.data.decimals || 18;
-    tokenDecimalsCache.set(token, decimals);
-    return decimals;
+    let detailed = store.getDetails(tx.txHash);
+    if (!detailed) {
+      const response = await mvxClient.get(`${network.apiUrl}/transactions/${tx.txHash}`, {
+        withOperations: true,
+        withLogs: true,
+        withResults: true
+      });
+      detailed = response.data;
+      store.setDetails(tx.txHash, detailed);
+    }
+    attachDetails(ctx, detailed);
+    parts.push(...await classifiers.classify(ctx));
   } catch (err) {
-    console.warn(`⚠️ Could not fetch decimals for ${token}:`, err.message);
-    return 18;
+    if (err instanceof JobCancelledError) throw err;
+    ctx.warn(`⚠️ Could not fetch details for tx ${tx.txHash}:`, err.message);
+    error = err.message;
   }
-}
 
-app.post('/fetch-transactions', async (req, res) => {
-  const { walletAddress, fromDate, toDate, clientId } = req.body;
+  return { event: parts.length > 0 ? buildEvent(ctx, parts) : null, cacheable: error === null, error };
+}
 
-  if (!walletAddress || !fromDate || !toDate || !clientId) {
-    reportProgress(clientId, '❌ Missing parameters');
-    return res.status(400).json({ error: 'Missing required parameters' });
+// Henter transaksjonene som mangler i lageret for [start, end] og utvider det
+// synkroniserte tidsrommet for hvert intervall som ble hentet komplett
+async function syncWallet(store, network, startTimestamp, endTimestamp, { onProgress, throwIfCancelled }) {
+  const ranges = store.missingRanges(startTimestamp, endTimestamp);
+  recordCacheLookup('transactions', ranges.length === 0);
+  const pagination = { complete: true, expected: 0, retrieved: 0, windows: 0, gaps: [], synced: [] };
+  if (ranges.length === 0) {
+    onProgress({ stage: 'listing', message: '✅ Transactions up to date in local store' });
+    return pagination;
   }
 
-  reportProgress(clientId, '📡 Validating address...');
-  if (!validateWalletAddress(walletAddress)) {
-    reportProgress(clientId, '❌ Invalid address');
-    return res.status(400).json({ error: 'Invalid wallet address' });
+  await mvxClient.get(`${network.apiUrl}/accounts/${store.address}`, {});
+  onProgress({ stage: 'listing', message: '🔍 Fetching transactions...' });
+
+  for (const [from, until] of ranges) {
+    const listing = await fetchTransactionList(network, store.address, from, until, { onProgress, throwIfCancelled });
+    const added = store.addTransactions(listing.transactions);
+    logger.info('Stored new transactions', { wallet: store.address, added, from, until });
+
+    pagination.complete = pagination.complete && listing.pagination.complete;
+    pagination.expected = pagination.expected === null || listing.pagination.expected === null
+      ? null
+      : pagination.expected + listing.pagination.expected;
+    pagination.retrieved += listing.pagination.retrieved;
+    pagination.windows += listing.pagination.windows;
+    pagination.gaps.push(...listing.pagination.gaps);
+    if (listing.pagination.complete) {
+      store.markSynced(from, until);
+      pagination.synced.push({ from, until });
+    }
   }
 
-  const fromDateObj = new Date(fromDate);
-  const toDateObj = new Date(toDate);
-  const startTimestamp = Math.floor(fromDateObj.getTime() / 1000);
-  const endTimestamp = Math.floor(toDateObj.getTime() / 1000);
-
-  if (fromDateObj > toDateObj) {
-    reportProgress(clientId, '❌ Invalid date range');
-    return res.status(400).json({ error: 'Invalid date range' });
+  if (!pagination.complete) {
+    onProgress({ type: 'warning', stage: 'listing', message: `⚠️ Only ${pagination.retrieved} of ${pagination.expected ?? 'unknown'} transactions could be retrieved` });
   }
+  return pagination;
+}
 
-  const cacheKey = `${walletAddress}:${fromDate}:${toDate}`;
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    reportProgress(clientId, '✅ Retrieved from cache');
-    return res.json(cached);
-  }
+// Henter og klassifiserer alle transaksjoner for en lommebok i et datointervall.
+// Bare det som mangler i det lokale lageret hentes fra API-et.
+async function fetchWalletTransactions({ walletAddress, fromDate, toDate, network: networkName }, { onProgress = () => {}, throwIfCancelled = () => {} } = {}) {
+  const startTimestamp = Math.floor(new Date(fromDate).getTime() / 1000);
+  const endTimestamp = Math.floor(new Date(toDate).getTime() / 1000);
+  // Nyeste transaksjoner kan fortsatt være under behandling; de regnes ikke som synkronisert
+  const syncEnd = Math.min(endTimestamp, Math.floor(Date.now() / 1000) - CONFIG.SYNC_SETTLE_SECONDS);
 
-  let allTransactions = [];
-  let taxRelevantTransactions = [];
-  const uniqueFunctions = new Set();
+  const network = CONFIG.networks[networkName];
 
-  try {
-    await fetchWithRetry(`${CONFIG.API_BASE_URL}/accounts/${walletAddress}`, {});
+  return walletStores[networkName].withWallet(walletAddress, async store => {
+    try {
+      const endListing = stageDuration.startTimer({ stage: 'listing' });
+      const pagination = await syncWallet(store, network, startTimestamp, syncEnd, { onProgress, throwIfCancelled });
+      if (endTimestamp > syncEnd) {
+        const recent = await fetchTransactionList(network, walletAddress, syncEnd, endTimestamp, { throwIfCancelled });
+        store.addTransactions(recent.transactions);
+        pagination.complete = pagination.complete && recent.pagination.complete;
+      }
+      endListing();
+
+      const allTransactions = store.transactionsBetween(startTimestamp, endTimestamp);
+      const endDetails = stageDuration.startTimer({ stage: 'details' });
+      await prefetchDetails(network, store, allTransactions, { onProgress, throwIfCancelled });
+      endDetails();
+
+      const endClassification = stageDuration.startTimer({ stage: 'classification' });
+      const ledger = [];
+      const failedTransactions = [];
+      const uniqueFunctions = new Set();
+      let fromStore = 0;
+
+      for (let i = 0; i < allTransactions.length; i++) {
+        throwIfCancelled();
+        const tx = allTransactions[i];
+        onProgress({ stage: 'classification', message: `🔍 Processing ${i + 1} of ${allTransactions.length} transactions...`, processed: i, total: allTransactions.length });
+
+        let event;
+        recordCacheLookup('events', store.hasEvent(tx.txHash));
+        if (store.hasEvent(tx.txHash)) {
+          event = store.getEvent(tx.txHash);
+          fromStore++;
+        } else {
+          const classified = await classifyTransaction(tx, walletAddress, network, store);
+          event = classified.event;
+          if (classified.cacheable) store.setEvent(tx.txHash, event);
+          if (classified.error) failedTransactions.push({ txHash: tx.txHash, wallet: walletAddress, timestamp: tx.timestamp, error: classified.error });
+        }
+        if (event) {
+          uniqueFunctions.add(event.function);
+          ledger.push(event);
+        }
+      }
+      await store.save();
+      endClassification();
+
+      const taxRelevantTransactions = flattenLedger(ledger);
+      logger.info('Classified transactions', {
+        wallet: walletAddress,
+        transactions: allTransactions.length,
+        fromStore,
+        functions: Array.from(uniqueFunctions),
+        failed: failedTransactions.length
+      });
 
-    reportProgress(clientId, '🔍 Fetching transactions...');
-    for (let fromIndex = 0; fromIndex < 10000; fromIndex += CONFIG.PAGE_SIZE) {
-      const params = {
-        after: startTimestamp,
-        before: endTimestamp,
-        size: CONFIG.PAGE_SIZE,
-        order: 'asc',
-        from: fromIndex
+      // Resultatet er komplett bare når alle transaksjonene ble hentet og klassifisert
+      const result = {
+        allTransactions,
+        ledger,
+        taxRelevantTransactions,
+        failedTransactions,
+        complete: pagination.complete && failedTransactions.length === 0,
+        pagination: { ...pagination, stored: allTransactions.length, fromStore }
       };
-      const response = await fetchWithRetry(`${CONFIG.API_BASE_URL}/accounts/${walletAddress}/transactions`, params);
-      const batch = response.data;
-      allTransactions.push(...batch);
-      reportProgress(clientId, `📦 Fetched ${allTransactions.length} transactions...`);
-      if (batch.length < CONFIG.PAGE_SIZE) break;
+      if (failedTransactions.length > 0) {
+        onProgress({ type: 'warning', stage: 'classification', message: `⚠️ Details for ${failedTransactions.length} transactions could not be fetched; retry them with POST /jobs/:id/retry` });
+      }
+      if (taxRelevantTransactions.length === 0) {
+        onProgress({ type: 'warning', stage: 'classification', message: '⚠️ No tax-relevant transactions found' });
+      } else {
+        onProgress({
+          stage: 'classification',
+          message: `✅ Completed with ${taxRelevantTransactions.length} tax-relevant transactions`,
+          processed: allTransactions.length,
+          total: allTransactions.length
+        });
+      }
+      return result;
+    } catch (error) {
+      // Det som er hentet før feilen beholdes til neste forsøk. Avbrytes jobben, beholdes det
+      // bare med keepPartial; ellers leses lommeboken fra filen igjen neste gang.
+      if (!(error instanceof JobCancelledError) || error.keepPartial) await store.save();
+      if (!(error instanceof JobCancelledError)) logger.error('Could not fetch transactions', { wallet: walletAddress, error: error.message });
+      throw error;
     }
+  });
+}
 
-    for (let i = 0; i < allTransactions.length; i++) {
-      const tx = allTransactions[i];
-      reportProgress(clientId, `🔍 Processing ${i + 1} of ${allTransactions.length} transactions...`);
-      const func = (tx.function || '').toLowerCase();
-      uniqueFunctions.add(func);
-      console.log(`🔍 Raw tx ${tx.txHash}: function=${tx.function}, value=${tx.value}, receiver=${tx.receiver}, action=${JSON.stringify(tx.action)}, data=${tx.data}`);
-
-      if (func === 'aggregateEgld') {
-        console.log(`🔍 aggregateEgld tx ${tx.txHash}: value=${tx.value}, receiver=${tx.receiver}`);
+// Klassifiserer transaksjonene som manglet detaljer (failedTransactions) på nytt og lagrer
+// dem som lykkes. Returnerer { recovered: [{ txHash, wallet, event }], failedTransactions }.
+async function retryFailedTransactions({ network: networkName }, failedTransactions) {
+  const network = CONFIG.networks[networkName];
+  const recovered = [];
+  const stillFailing = [];
+  const wallets = [...new Set(failedTransactions.map(failure => failure.wallet))];
+
+  for (const walletAddress of wallets) {
+    await walletStores[networkName].withWallet(walletAddress, async store => {
+      for (const failure of failedTransactions.filter(failure => failure.wallet === walletAddress)) {
+        const tx = store.getTransaction(failure.txHash);
+        if (!tx) {
+          stillFailing.push({ ...failure, error: 'Transaction is no longer in the local store' });
+        } else if (store.hasEvent(tx.txHash)) {
+          recovered.push({ txHash: tx.txHash, wallet: walletAddress, event: store.getEvent(tx.txHash) });
+        } else {
+          const classified = await classifyTransaction(tx, walletAddress, network, store);
+          if (classified.error) {
+            stillFailing.push({ ...failure, error: classified.error });
+          } else {
+            store.setEvent(tx.txHash, classified.event);
+            recovered.push({ txHash: tx.txHash, wallet: walletAddress, event: classified.event });
+          }
+        }
       }
+      await store.save();
+    });
+  }
+
+  logger.info('Retried failed transactions', { retried: failedTransactions.length, recovered: recovered.length, failed: stillFailing.length });
+  return { recovered, failedTransactions: stillFailing };
+}
+
+// En portefølje angis som walletAddresses; walletAddress alene er en portefølje med én lommebok
+const requestedWallets = ({ walletAddress, walletAddresses }) =>
+  (Array.isArray(walletAddresses) ? walletAddresses : walletAddress ? [walletAddress] : []);
+
+function validateFetchParams({ walletAddress, walletAddresses, fromDate, toDate, currency, network }) {
+  if (walletAddresses !== undefined && !Array.isArray(walletAddresses)) return 'walletAddresses must be an array';
+  const wallets = requestedWallets({ walletAddress, walletAddresses });
+  if (wallets.length === 0 || !fromDate || !toDate) return 'Missing required parameters';
+  // Typene sjekkes før verdiene brukes, så feil i body gir 400 og ikke 500
+  if (typeof fromDate !== 'string' || typeof toDate !== 'string') return 'fromDate and toDate must be strings';
+  if (currency && typeof currency !== 'string') return 'currency must be a string';
+  if (network !== undefined && typeof network !== 'string') return 'network must be a string';
+  if (currency && !CONFIG.SUPPORTED_FIAT_CURRENCIES.includes(currency.toUpperCase())) {
+    return `Unsupported currency. Supported: ${CONFIG.SUPPORTED_FIAT_CURRENCIES.join(', ')}`;
+  }
+  if (network !== undefined && !CONFIG.networks[network.toLowerCase()]) {
+    return `Unknown network. Supported: ${Object.keys(CONFIG.networks).join(', ')}`;
+  }
+  if (wallets.length > CONFIG.MAX_PORTFOLIO_WALLETS) return `At most ${CONFIG.MAX_PORTFOLIO_WALLETS} wallets per portfolio`;
+  const invalid = wallets.find(wallet => !validateWalletAddress(wallet));
+  if (invalid !== undefined) return `Invalid wallet address: ${invalid}`;
+  const fromDateObj = new Date(fromDate);
+  const toDateObj = new Date(toDate);
+  if (isNaN(fromDateObj) || isNaN(toDateObj) || fromDateObj > toDateObj) return 'Invalid date range';
+  return null;
+}
+
+const jobKey = ({ network, walletAddresses, fromDate, toDate, currency }) =>
+  `${network}:${walletAddresses.join(',')}:${fromDate}:${toDate}:${currency}`;
+
+function buildFetchParams({ walletAddress, walletAddresses, fromDate, toDate, currency, network }) {
+  return {
+    network: (network || CONFIG.DEFAULT_NETWORK).toLowerCase(),
+    walletAddresses: [...new Set(requestedWallets({ walletAddress, walletAddresses }))].sort(),
+    fromDate,
+    toDate,
+    currency: (currency || CONFIG.FIAT_CURRENCY).toUpperCase()
+  };
+}
+
+// Filnavn for nedlastinger: adressen for én lommebok, ellers antall lommebøker
+const downloadName = (prefix, { walletAddresses, fromDate, toDate }, extension) => {
+  const wallets = walletAddresses.length === 1 ? walletAddresses[0] : `portfolio-${walletAddresses.length}`;
+  return `${prefix}-${wallets}-${fromDate}-${toDate}.${extension}`.replace(/[^\w.-]/g, '_');
+};
 
-      let hasAddedEGLD = false;
-
-      if (tx.receiver === walletAddress && tx.value && BigInt(tx.value) > 0 && func !== 'wrapegld') {
-        console.log(`Found EGLD transfer for tx ${tx.txHash}: ${tx.value} wei`);
-        const amount = BigInt(tx.value);
-        const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(18)).toFixed();
-        taxRelevantTransactions.push({
-          timestamp: tx.timestamp,
-          function: 'transfer',
-          inAmount: formatted,
-          inCurrency: 'EGLD',
-          outAmount: '0',
-          outCurrency: 'EGLD',
-          fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-          txHash: tx.txHash
+// Jobbkø for transaksjonshenting
+const jobQueue = createJobQueue({
+  concurrency: CONFIG.JOB_CONCURRENCY,
+  retentionMs: CONFIG.JOB_RETENTION_MS,
+  onProgress: reportProgress,
+  isWatched: job => [...job.listeners].some(progressHub.isWatched),
+  keepPartial: CONFIG.KEEP_PARTIAL_RESULTS,
+  logger,
+  runner: async (params, { reportProgress: onProgress, throwIfCancelled }) => {
+    const { walletAddresses } = params;
+    const walletResults = [];
+    for (const [i, walletAddress] of walletAddresses.entries()) {
+      if (walletAddresses.length > 1) {
+        onProgress({
+          stage: 'wallet',
+          message: `👛 Wallet ${i + 1} of ${walletAddresses.length}: ${walletAddress}`,
+          wallet: { index: i + 1, count: walletAddresses.length, address: walletAddress }
         });
-        hasAddedEGLD = true;
       }
+      const result = await fetchWalletTransactions({ walletAddress, ...params }, { onProgress, throwIfCancelled });
+      walletResults.push({ walletAddress, result });
+    }
 
-      const isTaxRelevant = CONFIG.TAX_RELEVANT_FUNCTIONS.includes(func) ||
-                           !func ||
-                           tx.action?.category === 'mex' ||
-                           tx.data?.startsWith('RVNEVFRyYW5zZmVy');
-      if (!isTaxRelevant && !hasAddedEGLD) {
-        console.log(`⚠️ Skipping tx ${tx.txHash}: function ${func} not tax-relevant, no EGLD transfer`);
-        continue;
-      }
+    // Sammenslåingen fjerner transaksjoner som finnes i flere av porteføljens lommebøker
+    const endDedup = walletResults.length > 1 ? stageDuration.startTimer({ stage: 'dedup' }) : () => {};
+    const result = walletResults.length === 1 ? walletResults[0].result : mergePortfolio(walletResults);
+    endDedup();
+    if (result.internalTransfers > 0) onProgress({ stage: 'dedup', message: `🔁 ${result.internalTransfers} internal transfers between own wallets` });
+
+    const endPricing = stageDuration.startTimer({ stage: 'pricing' });
+    const taxRelevantTransactions = await priceService.enrichRows(result.taxRelevantTransactions, params.currency, { onProgress });
+    endPricing();
+    const missing = taxRelevantTransactions.filter(row => row.priceMissing).length;
+    if (missing > 0) onProgress({ type: 'warning', stage: 'pricing', message: `⚠️ No ${params.currency} price found for ${missing} transactions` });
+    return { ...result, fiatCurrency: params.currency, taxRelevantTransactions };
+  }
+});
 
-      try {
-        const detailed = await fetchWithRetry(
-          `${CONFIG.API_BASE_URL}/transactions/${tx.txHash}?withOperations=true&withLogs=true&withResults=true`,
-          {}
-        );
-        const { operations = [], logs = { events: [] }, results = [] } = detailed.data;
-
-        if (func === 'aggregateEgld') {
-          console.log(`🔍 Details for aggregateEgld tx ${tx.txHash}: operations=${JSON.stringify(operations)}, events=${JSON.stringify(logs.events)}, results=${JSON.stringify(results)}`);
-        }
+// Hver innsending føres på nøkkelen som sendte den, også når den slås sammen med en jobb
+// en annen nøkkel startet: nøkkelen får tilgang til jobben og hentingen teller mot kvoten.
+function submitFetchJob(req, params, { detach = false } = {}) {
+  const apiKey = req.apiClient?.name;
+  const submitted = jobQueue.submit(jobKey(params), params, { listenerId: clientStream(req, req.body.clientId), detach, owner: apiKey });
+  if (apiKey) {
+    submitted.job.done.then(job => {
+      if (job.status !== JOB_STATUS.COMPLETED) return;
+      access.recordFetch(apiKey, { wallets: params.walletAddresses, transactions: job.result.allTransactions.length });
+    });
+  }
+  return submitted;
+}
 
-        let egldTransfersIn = operations.filter(op =>
-          op.type === 'egld' &&
-          op.receiver === walletAddress &&
-          BigInt(op.value || 0) > 0
-        );
-        let tokenTransfersIn = operations.filter(op =>
-          ['esdt', 'MetaESDT', 'fungibleESDT', 'nft', 'nonFungibleESDT'].includes(op.type) &&
-          op.receiver === walletAddress &&
-          BigInt(op.value || 0) > 0
-        );
-        let tokenTransfersOut = operations.filter(op =>
-          ['esdt', 'MetaESDT', 'fungibleESDT', 'nft', 'nonFungibleESDT'].includes(op.type) &&
-          op.sender === walletAddress &&
-          BigInt(op.value || 0) > 0
-        );
-
-        for (const op of egldTransfersIn) {
-          console.log(`Found EGLD operation for tx ${tx.txHash}: ${op.value} wei`);
-          const amount = BigInt(op.value);
-          const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(18)).toFixed();
-          taxRelevantTransactions.push({
-            timestamp: tx.timestamp,
-            function: func || 'transfer',
-            inAmount: formatted,
-            inCurrency: 'EGLD',
-            outAmount: '0',
-            outCurrency: 'EGLD',
-            fee: egldTransfersIn.indexOf(op) === 0 && !hasAddedEGLD ? (BigInt(tx.fee || 0) / BigInt(10**18)).toString() : '0',
-            txHash: tx.txHash
-          });
-          hasAddedEGLD = true;
-        }
+app.post('/jobs', (req, res) => {
+  const clientId = clientStream(req, req.body.clientId);
+  const error = validateFetchParams(req.body);
+  if (error) {
+    reportRequestProgress(clientId, { type: 'failed', message: `❌ ${error}`, error });
+    return res.status(400).json({ error });
+  }
 
-        if (func === 'aggregateEgld' && tx.sender === walletAddress && tx.value && BigInt(tx.value) > 0) {
-          console.log(`Processing aggregateEgld for tx ${tx.txHash}: EGLD out=${tx.value}`);
-          const egldAmount = BigInt(tx.value);
-          const egldFormatted = new BigNumber(egldAmount.toString()).dividedBy(new BigNumber(10).pow(18)).toFixed();
-          taxRelevantTransactions.push({
-            timestamp: tx.timestamp,
-            function: func,
-            inAmount: '0',
-            inCurrency: 'EGLD',
-            outAmount: egldFormatted,
-            outCurrency: 'EGLD',
-            fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-            txHash: tx.txHash
-          });
-          continue;
-        }
+  const params = buildFetchParams(req.body);
+  const { job, coalesced } = submitFetchJob(req, params, { detach: true });
+  res.status(202).json({ ...describeJob(job), coalesced });
+});
 
-        if (['claimrewards', 'claimrewardsproxy'].includes(func)) {
-          console.log(`Processing ${func} for tx ${tx.txHash}: operations=${JSON.stringify(operations.map(op => ({ type: op.type, identifier: op.identifier, value: op.value, receiver: op.receiver })))}`);
-          const rewardTokens = [
-            'XMEX-fda355', 'MEX-455c57', 'UTK-2f80e9', 'ZPAY-247875', 'QWT-46ac01',
-            'RIDE-7d18e9', 'CRT-a28d59', 'CYBER-5d1f4a', 'AERO-458b36', 'ISET-83f339',
-            'BHAT-c1fde3', 'SFIT-dcbf2a'
-          ];
-          const lpTokenPattern = /(FARM|FL-|EGLD.*FL|WEGLD.*FL|XMEXFARM|CYBEEGLD|CRTWEGLD)/i;
-          let hasAddedReward = false;
-
-          for (const op of tokenTransfersIn) {
-            const token = op.identifier || op.name || 'UNKNOWN';
-            console.log(`Evaluating token ${token} (value=${op.value}, type=${op.type}, receiver=${op.receiver}) for tx ${tx.txHash}`);
-            if (rewardTokens.includes(token)) {
-              const amount = BigInt(op.value);
-              const decimals = await getTokenDecimals(token);
-              const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-              taxRelevantTransactions.push({
-                timestamp: tx.timestamp,
-                function: func,
-                inAmount: formatted,
-                inCurrency: token,
-                outAmount: '0',
-                outCurrency: 'EGLD',
-                fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-                txHash: tx.txHash
-              });
-              hasAddedReward = true;
-              console.log(`✅ Added reward token ${token} from operations for tx ${tx.txHash}: ${formatted}`);
-              break;
-            }
-          }
+app.get('/jobs/:id', (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(describeJob(job));
+});
 
-          if (!hasAddedReward) {
-            console.log(`No reward token found in rewardTokens for tx ${tx.txHash}, trying non-LP tokens`);
-            for (const op of tokenTransfersIn) {
-              const token = op.identifier || op.name || 'UNKNOWN';
-              console.log(`Fallback: Evaluating token ${token} (value=${op.value}, type=${op.type}, receiver=${op.receiver}) for tx ${tx.txHash}`);
-              if (token === 'UNKNOWN' || lpTokenPattern.test(token)) {
-                console.warn(`⚠️ Skipping LP or unknown token ${token} for ${func} tx ${tx.txHash}`);
-                continue;
-              }
-              const amount = BigInt(op.value);
-              const decimals = await getTokenDecimals(token);
-              const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-              taxRelevantTransactions.push({
-                timestamp: tx.timestamp,
-                function: func,
-                inAmount: formatted,
-                inCurrency: token,
-                outAmount: '0',
-                outCurrency: 'EGLD',
-                fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-                txHash: tx.txHash
-              });
-              hasAddedReward = true;
-              console.log(`✅ Added fallback reward token ${token} from operations for tx ${tx.txHash}: ${formatted}`);
-              break;
-            }
-          }
+app.get('/jobs/:id/result', (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({ ...describeJob(job), error: `Job is ${job.status}` });
+  }
 
-          if (!hasAddedReward) {
-            console.log(`No reward token found in operations for tx ${tx.txHash}, checking logs.events`);
-            const esdtEvents = logs.events?.filter(event =>
-              ['ESDTTransfer', 'ESDTNFTTransfer'].includes(event.identifier) &&
-              decodeBase64ToString(event.topics?.[3] || '') === walletAddress
-            ) || [];
-
-            for (const event of esdtEvents) {
-              const token = decodeBase64ToString(event.topics?.[0] || '') || 'UNKNOWN';
-              console.log(`Logs: Evaluating token ${token} for tx ${tx.txHash}`);
-              if (token === 'UNKNOWN' || lpTokenPattern.test(token)) {
-                console.warn(`⚠️ Skipping LP or unknown token ${token} in logs for ${func} tx ${tx.txHash}`);
-                continue;
-              }
-              const amount = decodeHexToBigInt(decodeBase64ToHex(event.topics?.[2] || '0'));
-              if (amount <= BigInt(0)) {
-                console.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
-                continue;
-              }
-              const decimals = await getTokenDecimals(token);
-              const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-              taxRelevantTransactions.push({
-                timestamp: tx.timestamp,
-                function: func,
-                inAmount: formatted,
-                inCurrency: token,
-                outAmount: '0',
-                outCurrency: 'EGLD',
-                fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-                txHash: tx.txHash
-              });
-              hasAddedReward = true;
-              console.log(`✅ Added reward token ${token} from logs for tx ${tx.txHash}: ${formatted}`);
-              break;
-            }
-          }
+  if (req.query.download === 'true') {
+    const filename = downloadName('transactions', job.params, 'json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.json(job.result);
+});
 
-          if (!hasAddedReward) {
-            console.log(`No reward token found in logs for tx ${tx.txHash}, checking scResults`);
-            const esdtResults = results.filter(r =>
-              r.receiver === walletAddress &&
-              r.data &&
-              (r.data.startsWith('RVNEVFRyYW5zZmVy') || r.function === 'ESDTTransfer' || r.function === 'MultiESDTNFTTransfer')
-            );
-
-            for (const result of esdtResults) {
-              const decodedData = decodeBase64ToString(result.data);
-              const parts = decodedData.split('@');
-              if (parts.length < 3) {
-                console.warn(`⚠️ Invalid ESDTTransfer data for tx ${tx.txHash}:`, decodedData);
-                continue;
-              }
-              const tokenHex = parts[1];
-              const amountHex = parts[2];
-              const token = decodeHexToString(tokenHex);
-              if (!token || lpTokenPattern.test(token)) {
-                console.warn(`⚠️ Skipping empty or LP token ${token} in scResult for tx ${tx.txHash}`);
-                continue;
-              }
-              const amount = decodeHexToBigInt(amountHex);
-              if (amount <= BigInt(0)) {
-                console.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
-                continue;
-              }
-              const decimals = await getTokenDecimals(token);
-              const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-              taxRelevantTransactions.push({
-                timestamp: tx.timestamp,
-                function: func,
-                inAmount: formatted,
-                inCurrency: token,
-                outAmount: '0',
-                outCurrency: 'EGLD',
-                fee: esdtResults.indexOf(result) === 0 && !hasAddedEGLD ? (BigInt(tx.fee || 0) / BigInt(10**18)).toString() : '0',
-                txHash: tx.txHash
-              });
-              hasAddedReward = true;
-              console.log(`✅ Added reward token ${token} from scResults for tx ${tx.txHash}: ${formatted}`);
-              break;
-            }
-          }
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (jobQueue.isFinished(job)) {
+    return res.status(409).json({ ...describeJob(job), error: `Job is already ${job.status}` });
+  }
+  const { keepPartial } = req.query;
+  if (keepPartial !== undefined && !['true', 'false'].includes(keepPartial)) {
+    return res.status(400).json({ error: 'keepPartial must be true or false' });
+  }
+  jobQueue.cancel(job.id, { keepPartial: keepPartial === undefined ? CONFIG.KEEP_PARTIAL_RESULTS : keepPartial === 'true' });
+  res.json(describeJob(job));
+});
 
-          if (!hasAddedReward) {
-            console.warn(`⚠️ No valid reward token found for tx ${tx.txHash}, adding empty reward`);
-            taxRelevantTransactions.push({
-              timestamp: tx.timestamp,
-              function: func,
-              inAmount: '0',
-              inCurrency: 'UNKNOWN',
-              outAmount: '0',
-              outCurrency: 'EGLD',
-              fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-              txHash: tx.txHash
-            });
-          }
-          continue;
-        }
+// Henter detaljene for transaksjonene som manglet dem på nytt og fletter dem inn i jobbens
+// resultat, som da er komplett hvis alle lyktes. Svaret er det oppdaterte resultatet.
+const retryingJobs = new Set();
 
-        if (func === 'wrapegld' && tx.sender === walletAddress && tx.value && BigInt(tx.value) > 0) {
-          console.log(`Processing wrapEgld for tx ${tx.txHash}: EGLD out=${tx.value}`);
-          const egldAmount = BigInt(tx.value);
-          const egldFormatted = new BigNumber(egldAmount.toString()).dividedBy(new BigNumber(10).pow(18)).toFixed();
-          const inOp = tokenTransfersIn.find(op => op.identifier === 'WEGLD-bd4d79');
-          let inAmount = '0', inCurrency = 'EGLD';
-
-          if (inOp && BigInt(inOp.value) > 0) {
-            const amount = BigInt(inOp.value);
-            const decimals = await getTokenDecimals(inOp.identifier);
-            inAmount = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-            inCurrency = inOp.identifier;
-          }
+app.post('/jobs/:id/retry', async (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({ ...describeJob(job), error: `Job is ${job.status}` });
+  }
+  if (retryingJobs.has(job.id)) return res.status(409).json({ error: 'A retry is already running for this job' });
+  if (job.result.failedTransactions.length === 0) return res.json({ ...job.result, jobId: job.id, recovered: [] });
 
-          taxRelevantTransactions.push({
-            timestamp: tx.timestamp,
-            function: func,
-            inAmount,
-            inCurrency,
-            outAmount: egldFormatted,
-            outCurrency: 'EGLD',
-            fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-            txHash: tx.txHash
-          });
-          continue;
-        }
+  retryingJobs.add(job.id);
+  try {
+    const { recovered, failedTransactions } = await retryFailedTransactions(job.params, job.result.failedTransactions);
+    const merged = mergeRecovered(job.result, recovered, failedTransactions);
+    const taxRelevantTransactions = await priceService.enrichRows(merged.taxRelevantTransactions, job.params.currency);
+    job.result = { ...merged, taxRelevantTransactions };
+    res.json({ ...job.result, jobId: job.id, recovered: recovered.map(({ txHash, wallet }) => ({ txHash, wallet })) });
+  } catch (err) {
+    logger.error('Could not retry failed transactions', { jobId: job.id, error: err.message });
+    res.status(500).json({ error: 'Could not retry the failed transactions. Please try again later.' });
+  } finally {
+    retryingJobs.delete(job.id);
+  }
+});
 
-        if (['swap_tokens_fixed_input', 'swap_tokens_fixed_output', 'multipairswap'].includes(func)) {
-          console.log(`Processing swap for tx ${tx.txHash}: in=${JSON.stringify(tokenTransfersIn)}, out=${JSON.stringify(tokenTransfersOut)}`);
-          let inAmount = '0', inCurrency = 'UNKNOWN';
-          let outAmount = '0', outCurrency = 'UNKNOWN';
-
-          if (tokenTransfersIn.length > 0) {
-            const primaryIn = tokenTransfersIn.reduce((max, op) =>
-              BigInt(op.value) > BigInt(max.value) ? op : max, tokenTransfersIn[0]
-            );
-            inCurrency = primaryIn.identifier || 'UNKNOWN';
-            if (inCurrency !== 'UNKNOWN') {
-              const inAmountBig = BigInt(primaryIn.value);
-              const inDecimals = await getTokenDecimals(inCurrency);
-              inAmount = new BigNumber(inAmountBig.toString()).dividedBy(new BigNumber(10).pow(inDecimals)).toFixed();
-            }
-          }
+function sendCsvExport(res, result, params, format) {
+  const filename = downloadName(format, params, 'csv');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(renderCsv(result.taxRelevantTransactions, format));
+}
 
-          if (tokenTransfersOut.length > 0) {
-            const primaryOut = tokenTransfersOut.reduce((max, op) =>
-              BigInt(op.value) > BigInt(max.value) ? op : max, tokenTransfersOut[0]
-            );
-            outCurrency = primaryOut.identifier || 'UNKNOWN';
-            if (outCurrency !== 'UNKNOWN') {
-              const outAmountBig = BigInt(primaryOut.value);
-              const outDecimals = await getTokenDecimals(outCurrency);
-              outAmount = new BigNumber(outAmountBig.toString()).dividedBy(new BigNumber(10).pow(outDecimals)).toFixed();
-            }
-          }
+// Formatet kommer fra body eller query; et gjentatt query-parameter blir en liste
+const validateExportFormat = format => {
+  if (typeof format !== 'string') return 'format must be a string';
+  if (!EXPORT_FORMATS[format.toLowerCase()]) return `Unknown export format. Supported: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+  return null;
+};
 
-          if (inCurrency !== 'UNKNOWN' || outCurrency !== 'UNKNOWN') {
-            taxRelevantTransactions.push({
-              timestamp: tx.timestamp,
-              function: func,
-              inAmount,
-              inCurrency,
-              outAmount,
-              outCurrency,
-              fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-              txHash: tx.txHash
-            });
-            console.log(`✅ Added swap tx ${tx.txHash}: ${inAmount} ${inCurrency} -> ${outAmount} ${outCurrency}`);
-            tokenTransfersIn = [];
-            tokenTransfersOut = [];
-            logs.events = [];
-            results.length = 0;
-            continue;
-          }
-        }
+app.get('/jobs/:id/export', (req, res) => {
+  const format = req.query.format || 'generic';
+  const error = validateExportFormat(format);
+  if (error) return res.status(400).json({ error });
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({ ...describeJob(job), error: `Job is ${job.status}` });
+  }
+  sendCsvExport(res, job.result, job.params, format.toLowerCase());
+});
 
-        for (const op of tokenTransfersIn) {
-          const token = op.identifier || op.name || 'UNKNOWN';
-          if (token === 'UNKNOWN') {
-            console.warn(`⚠️ Unknown token in operation for tx ${tx.txHash}:`, JSON.stringify(op));
-            continue;
-          }
-          const amount = BigInt(op.value);
-          if (amount <= BigInt(0)) {
-            console.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
-            continue;
-          }
-          const decimals = await getTokenDecimals(token);
-          const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-          taxRelevantTransactions.push({
-            timestamp: tx.timestamp,
-            function: func || 'transfer',
-            inAmount: formatted,
-            inCurrency: token,
-            outAmount: '0',
-            outCurrency: 'EGLD',
-            fee: tokenTransfersIn.indexOf(op) === 0 && !hasAddedEGLD ? (BigInt(tx.fee || 0) / BigInt(10**18)).toString() : '0',
-            txHash: tx.txHash
-          });
-          console.log(`✅ Added token ${token} from operations for tx ${tx.txHash}: ${formatted}`);
-        }
+function sendGainsReport(res, result, { method, openingLots }) {
+  const report = computeGains(result.taxRelevantTransactions, { method, openingLots });
+  res.json({ fiatCurrency: result.fiatCurrency, complete: result.complete, ...report });
+}
 
-        for (const op of tokenTransfersOut) {
-          const token = op.identifier || op.name || 'UNKNOWN';
-          if (token === 'UNKNOWN') {
-            console.warn(`⚠️ Unknown token in operation for tx ${tx.txHash}:`, JSON.stringify(op));
-            continue;
-          }
-          const amount = BigInt(op.value);
-          if (amount <= BigInt(0)) {
-            console.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
-            continue;
-          }
-          const decimals = await getTokenDecimals(token);
-          const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-          taxRelevantTransactions.push({
-            timestamp: tx.timestamp,
-            function: func || 'transfer',
-            inAmount: '0',
-            inCurrency: 'EGLD',
-            outAmount: formatted,
-            outCurrency: token,
-            fee: tokenTransfersOut.indexOf(op) === 0 && !hasAddedEGLD ? (BigInt(tx.fee || 0) / BigInt(10**18)).toString() : '0',
-            txHash: tx.txHash
-          });
-          console.log(`✅ Added token ${token} from operations for tx ${tx.txHash}: ${formatted}`);
-        }
+// Beløp og kostpris i openingLots kan være tall eller tekst, som i openLots fra rapporten
+const isNumeric = value => (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+const isOpeningLot = lot => lot !== null && typeof lot === 'object' && !Array.isArray(lot) &&
+  typeof lot.token === 'string' && lot.token !== '' && isNumeric(lot.amount) && isNumeric(lot.cost);
+
+const validateGainsOptions = ({ method, openingLots }) => {
+  if (typeof method !== 'string') return 'method must be a string';
+  if (!COST_BASIS_METHODS.includes(method.toLowerCase())) return `Unknown cost basis method. Supported: ${COST_BASIS_METHODS.join(', ')}`;
+  if (openingLots !== undefined && !Array.isArray(openingLots)) return 'openingLots must be an array';
+  const invalid = (openingLots || []).findIndex(lot => !isOpeningLot(lot));
+  if (invalid !== -1) return `openingLots[${invalid}] must be an object with a token and a numeric amount and cost`;
+  return null;
+};
 
-        const esdtEvents = logs.events?.filter(event =>
-          ['ESDTTransfer', 'ESDTNFTTransfer', 'transfer', 'ESDTLocalTransfer'].includes(event.identifier) &&
-          decodeBase64ToString(event.topics?.[3] || '') === walletAddress
-        ) || [];
+app.get('/jobs/:id/gains', (req, res) => {
+  const method = req.query.method || 'fifo';
+  const error = validateGainsOptions({ method });
+  if (error) return res.status(400).json({ error });
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({ ...describeJob(job), error: `Job is ${job.status}` });
+  }
+  sendGainsReport(res, job.result, { method: method.toLowerCase() });
+});
 
-        for (const event of esdtEvents) {
-          const token = decodeBase64ToString(event.topics?.[0] || '') || 'UNKNOWN';
-          if (token === 'UNKNOWN') {
-            console.warn(`⚠️ Skipping event with unknown token for tx ${tx.txHash}`);
-            continue;
-          }
-          const amount = decodeHexToBigInt(decodeBase64ToHex(event.topics?.[2] || '0'));
-          if (amount <= BigInt(0)) {
-            console.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
-            continue;
-          }
-          const decimals = await getTokenDecimals(token);
-          const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-          taxRelevantTransactions.push({
-            timestamp: tx.timestamp,
-            function: func || 'transfer',
-            inAmount: formatted,
-            inCurrency: token,
-            outAmount: '0',
-            outCurrency: 'EGLD',
-            fee: esdtEvents.indexOf(event) == 0 && !hasAddedEGLD ? (BigInt(tx.fee || 0) / BigInt(10**18)).toString() : '0',
-            txHash: tx.txHash
-          });
-          console.log(`✅ Added token ${token} from logs for tx ${tx.txHash}: ${formatted}`);
-        }
+// Faktisk saldo på kjeden nå: EGLD fra kontoen, fungible tokens fra /tokens og NFT/SFT/MetaESDT fra /nfts
+async function fetchAccountBalances(network, walletAddress) {
+  const url = `${network.apiUrl}/accounts/${walletAddress}`;
+  const account = (await mvxClient.get(url)).data;
+  const balances = new Map([['EGLD', formatAmount(BigInt(account.balance || 0), 18)]]);
+
+  for (const resource of ['tokens', 'nfts']) {
+    for (let from = 0; from + CONFIG.PAGE_SIZE <= CONFIG.MAX_RESULT_WINDOW; from += CONFIG.PAGE_SIZE) {
+      const batch = (await mvxClient.get(`${url}/${resource}`, { from, size: CONFIG.PAGE_SIZE })).data;
+      for (const item of batch) {
+        const decimals = item.decimals ?? await getTokenDecimals(network, item.identifier);
+        balances.set(item.identifier, formatAmount(BigInt(item.balance ?? 1), decimals));
+      }
+      if (batch.length < CONFIG.PAGE_SIZE) break;
+    }
+  }
+  return balances;
+}
 
-        const esdtResults = results.filter(r =>
-          r.receiver === walletAddress &&
-          r.data &&
-          (r.data.startsWith('RVNEVFRyYW5zZmVy') || r.function === 'ESDTTransfer' || r.function === 'MultiESDTNFTTransfer')
-        );
-
-        for (const result of esdtResults) {
-          const decodedData = decodeBase64ToString(result.data);
-          const parts = decodedData.split('@');
-          if (parts.length < 3) {
-            console.warn(`⚠️ Invalid ESDTTransfer data for tx ${tx.txHash}:`, decodedData);
-            continue;
-          }
-          const tokenHex = parts[1];
-          const amountHex = parts[2];
-          const token = decodeHexToString(tokenHex);
-          if (!token) {
-            console.warn(`⚠️ Empty token in scResult for tx ${tx.txHash}`);
-            continue;
-          }
-          const amount = decodeHexToBigInt(amountHex);
-          if (amount <= BigInt(0)) {
-            console.warn(`⚠️ Zero or negative amount for token ${token} in tx ${tx.txHash}`);
-            continue;
-          }
-          const decimals = await getTokenDecimals(token);
-          const formatted = new BigNumber(amount.toString()).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
-          taxRelevantTransactions.push({
-            timestamp: tx.timestamp,
-            function: func || 'transfer',
-            inAmount: formatted,
-            inCurrency: token,
-            outAmount: '0',
-            outCurrency: 'EGLD',
-            fee: esdtResults.indexOf(result) === 0 && !hasAddedEGLD ? (BigInt(tx.fee || 0) / BigInt(10**18)).toString() : '0',
-            txHash: tx.txHash
-          });
-          console.log(`✅ Added token ${token} from scResults for tx ${tx.txHash}: ${formatted}`);
-        }
+// Hovedboken dekker bare jobbens periode, mens saldoen på kjeden er dagens.
+// Saldoen før fromDate regnes som null.
+const openingBalanceWarning = ({ fromDate }) => `Balances before ${fromDate} are assumed to be zero`;
+const laterTransactionsWarnings = ({ toDate }) => (new Date(toDate).getTime() < Date.now()
+  ? [`Transactions after ${toDate} are not in the ledger but are included in the on-chain balances`]
+  : []);
 
-        if (!hasAddedEGLD && egldTransfersIn.length === 0 && tokenTransfersIn.length === 0 && tokenTransfersOut.length === 0 && esdtEvents.length === 0 && esdtResults.length === 0) {
-          console.warn(`⚠️ No transfers found for tx ${tx.txHash}: function=${func}, operations=${JSON.stringify(operations)}, events=${JSON.stringify(logs.events)}, results=${JSON.stringify(results)}`);
-          if (func !== 'aggregateEgld') {
-            taxRelevantTransactions.push({
-              timestamp: tx.timestamp,
-              function: func || 'unknown',
-              inAmount: '0',
-              inCurrency: 'EGLD',
-              outAmount: '0',
-              outCurrency: 'EGLD',
-              fee: (BigInt(tx.fee || 0) / BigInt(10**18)).toString(),
-              txHash: tx.txHash
-            });
-          }
-        }
-      } catch (err) {
-        console.warn(`⚠️ Could not fetch details for tx ${tx.txHash}:`, err.message);
-      }
+async function sendReconciliation(res, job) {
+  const { params, result } = job;
+  const network = CONFIG.networks[params.network];
+  try {
+    const wallets = [];
+    for (const walletAddress of params.walletAddresses) {
+      const actualBalances = await fetchAccountBalances(network, walletAddress);
+      const pagination = params.walletAddresses.length === 1 ? result.pagination : result.pagination[walletAddress];
+      wallets.push({
+        walletAddress,
+        ...reconcileWallet({
+          events: result.ledger.filter(event => event.wallet === walletAddress),
+          actualBalances,
+          gaps: pagination?.gaps || []
+        })
+      });
     }
+    res.json({ complete: result.complete, warnings: [openingBalanceWarning(params), ...laterTransactionsWarnings(params)], wallets });
+  } catch (err) {
+    logger.error('Could not fetch account balances', { error: err.message });
+    res.status(502).json({ error: 'Could not fetch account balances. Please try again later.' });
+  }
+}
+
+app.get('/jobs/:id/reconciliation', async (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({ ...describeJob(job), error: `Job is ${job.status}` });
+  }
+  await sendReconciliation(res, job);
+});
 
-    taxRelevantTransactions = deduplicateTransactions(taxRelevantTransactions);
-    console.log(`Unique function names:`, Array.from(uniqueFunctions));
+// Delegert EGLD per staking-leverandør nå: aktiv stake og det som er under undelegering
+async function fetchStakedBalances(network, walletAddress) {
+  const delegations = (await mvxClient.get(`${network.apiUrl}/accounts/${walletAddress}/delegation`)).data;
+  return delegations.map(delegation => {
+    const undelegated = (delegation.userUndelegatedList || []).reduce((sum, item) => sum + BigInt(item.amount), BigInt(0));
+    return { token: 'EGLD', provider: delegation.contract, amount: formatAmount(BigInt(delegation.userActiveStake || 0) + undelegated, 18) };
+  });
+}
 
-    const result = { allTransactions, taxRelevantTransactions };
-    if (taxRelevantTransactions.length === 0) {
-      reportProgress(clientId, '⚠️ No tax-relevant transactions found');
-    } else {
-      reportProgress(clientId, `✅ Completed with ${taxRelevantTransactions.length} tax-relevant transactions`);
+const startOfDay = date => Math.floor(new Date(date).getTime() / 1000);
+
+// Fra body eller query. Et gjentatt query-parameter blir en liste; typen sjekkes i validateHoldingsOptions.
+const holdingsOptions = ({ date, replay = 'forward' }) =>
+  ({ date, replay: typeof replay === 'string' ? (replay || 'forward').toLowerCase() : replay });
+
+// Beholdningen gjelder ved utgangen av date (UTC). Hovedboken slutter ved starten av toDate,
+// så forward krever toDate etter date, og backward krever at hovedboken starter senest dagen etter.
+const validateHoldingsOptions = ({ date, replay }, { fromDate, toDate }) => {
+  if (typeof replay !== 'string') return 'replay must be a string';
+  if (!REPLAY_DIRECTIONS.includes(replay)) return `Unknown replay direction. Supported: ${REPLAY_DIRECTIONS.join(', ')}`;
+  if (typeof date !== 'string' || isNaN(new Date(date))) return 'Missing or invalid date';
+  const cutoff = startOfDay(date) + 86400;
+  if (replay === 'forward' && cutoff > startOfDay(toDate)) return 'toDate must be after date when replaying forward';
+  if (replay === 'backward' && cutoff < startOfDay(fromDate)) return 'fromDate must be no later than the day after date when replaying backward';
+  return null;
+};
+
+async function sendHoldingsReport(res, job, { date, replay }) {
+  const { params, result } = job;
+  const network = CONFIG.networks[params.network];
+  const cutoff = startOfDay(date) + 86400 - 1;
+  const warnings = replay === 'backward' ? laterTransactionsWarnings(params) : [openingBalanceWarning(params)];
+
+  try {
+    const wallets = [];
+    for (const walletAddress of params.walletAddresses) {
+      const current = replay === 'backward'
+        ? [
+          ...[...await fetchAccountBalances(network, walletAddress)].map(([token, amount]) => ({ token, provider: null, amount })),
+          ...await fetchStakedBalances(network, walletAddress)
+        ]
+        : [];
+      const events = result.ledger.filter(event => event.wallet === walletAddress);
+      const holdings = holdingsAt(events, cutoff, { replay, current });
+      for (const { token } of holdings.filter(h => h.amount.startsWith('-'))) {
+        warnings.push(`Negative ${token} balance for ${walletAddress}; the ledger is incomplete (see /reconcile)`);
+      }
+      const valued = await valueHoldings(holdings, { getPrice: priceService.getPrice, timestamp: cutoff, currency: result.fiatCurrency });
+      wallets.push({ walletAddress, ...valued });
     }
 
-    cache.set(cacheKey, result);
-    res.json(result);
-  } catch (error) {
-    console.error('❌ Error in fetch-transactions:', error.message);
-    reportProgress(clientId, '❌ Failed: ' + error.message);
+    res.json({ date, replay, fiatCurrency: result.fiatCurrency, complete: result.complete, warnings, ...summarizeHoldings(wallets), wallets });
+  } catch (err) {
+    logger.error('Could not fetch account balances', { error: err.message });
+    res.status(502).json({ error: 'Could not fetch account balances. Please try again later.' });
+  }
+}
+
+app.get('/jobs/:id/holdings', async (req, res) => {
+  const job = jobFor(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const options = holdingsOptions(req.query);
+  const error = validateHoldingsOptions(options, job.params);
+  if (error) return res.status(400).json({ error });
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({ ...describeJob(job), error: `Job is ${job.status}` });
+  }
+  await sendHoldingsReport(res, job, options);
+});
+
+// Synkron henting: kjører som jobb, men holder forespørselen åpen til den er ferdig
+async function runFetchJob(req, res) {
+  const { fromDate, toDate } = req.body;
+  const clientId = clientStream(req, req.body.clientId);
+
+  if (requestedWallets(req.body).length === 0 || !fromDate || !toDate || !clientId) {
+    reportRequestProgress(clientId, { type: 'failed', message: '❌ Missing parameters', error: 'Missing required parameters' });
+    res.status(400).json({ error: 'Missing required parameters' });
+    return null;
+  }
+
+  reportRequestProgress(clientId, { message: '📡 Validating address...' });
+  const error = validateFetchParams(req.body);
+  if (error) {
+    reportRequestProgress(clientId, { type: 'failed', message: `❌ ${error}`, error });
+    res.status(400).json({ error });
+    return null;
+  }
+
+  const params = buildFetchParams(req.body);
+  const { job } = submitFetchJob(req, params);
+  // Lukker klienten forbindelsen før svaret er sendt, avbrytes jobben, med mindre
+  // noen fortsatt følger fremdriften eller en annen forespørsel venter på den
+  res.on('close', jobQueue.hold(job));
+  await job.done;
+
+  if (job.status === JOB_STATUS.COMPLETED) return job;
+  if (res.destroyed) return null;
+  if (job.status === JOB_STATUS.CANCELLED) {
+    res.status(409).json({ error: 'Fetch was cancelled', jobId: job.id });
+  } else {
     res.status(500).json({ error: 'Could not fetch transactions. Please try again later.' });
   }
+  return null;
+}
+
+app.post('/fetch-transactions', async (req, res) => {
+  const job = await runFetchJob(req, res);
+  if (job) res.json({ ...job.result, jobId: job.id });
 });
 
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-  console.log(`🚀 Proxy server running on port ${PORT}`);
+app.post('/export', async (req, res) => {
+  const format = req.body.format || 'generic';
+  const error = validateExportFormat(format);
+  if (error) return res.status(400).json({ error });
+  const job = await runFetchJob(req, res);
+  if (job) sendCsvExport(res, job.result, job.params, format.toLowerCase());
 });
+
+app.post('/gains', async (req, res) => {
+  const method = req.body.method || 'fifo';
+  const { openingLots = [] } = req.body;
+  const error = validateGainsOptions({ method, openingLots });
+  if (error) return res.status(400).json({ error });
+  const job = await runFetchJob(req, res);
+  if (job) sendGainsReport(res, job.result, { method: method.toLowerCase(), openingLots });
+});
+
+app.post('/reconcile', async (req, res) => {
+  const job = await runFetchJob(req, res);
+  if (job) await sendReconciliation(res, job);
+});
+
+app.post('/holdings', async (req, res) => {
+  const options = holdingsOptions(req.body);
+  const error = validateHoldingsOptions(options, req.body);
+  if (error) return res.status(400).json({ error });
+  const job = await runFetchJob(req, res);
+  if (job) await sendHoldingsReport(res, job, options);
+});
+
+// Klassifiserer én transaksjon på nytt med sporing: rådata med dekodede topics, hvilke
+// klassifiserere som kjørte eller ble hoppet over og hvorfor, og hendelsen og radene
+app.post('/explain', async (req, res) => {
+  const { walletAddress, txHash, network: networkName } = req.body;
+  if (!walletAddress || !txHash) return res.status(400).json({ error: 'Missing required parameters' });
+  if (!validateWalletAddress(walletAddress)) return res.status(400).json({ error: `Invalid wallet address: ${walletAddress}` });
+  if (!/^[0-9a-f]{64}$/.test(txHash)) return res.status(400).json({ error: 'Invalid txHash' });
+  const network = CONFIG.networks[String(networkName || CONFIG.DEFAULT_NETWORK).toLowerCase()];
+  if (!network) return res.status(400).json({ error: `Unknown network. Supported: ${Object.keys(CONFIG.networks).join(', ')}` });
+
+  let details;
+  try {
+    const response = await mvxClient.get(`${network.apiUrl}/transactions/${txHash}`, {
+      withOperations: true,
+      withLogs: true,
+      withResults: true
+    });
+    details = response.data;
+  } catch (err) {
+    if (err.status === 404) return res.status(404).json({ error: 'Transaction not found' });
+    logger.error('Could not fetch transaction', { txHash, error: err.message });
+    return res.status(502).json({ error: 'Could not fetch the transaction. Please try again later.' });
+  }
+
+  // Samme vei som ved henting, men med de ferske detaljene og uten å lagre noe
+  const trace = createTrace();
+  const store = { getDetails: () => details, setDetails: () => {} };
+  const { event } = await classifyTransaction(details, walletAddress, network, store, { trace });
+  res.json(explainTransaction({ walletAddress, details, trace, event }));
+});
+
+// Startes bare når filen kjøres direkte; testene bruker appen uten å lytte på fast port
+if (require.main === module) {
+  const PORT = process.env.PORT || 10000;
+  app.listen(PORT, () => {
+    logger.info('Proxy server running', { port: Number(PORT) });
+  });
+}
+
+module.exports = app;
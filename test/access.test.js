@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createAccessControl } = require('../lib/access');
+const { startMockApi, startServer } = require('./mock-api');
+
+const fixture = require('./fixtures/mainnet.json');
+
+const KEYS = {
+  reader: { key: 'reader-key-0123456789', requestsPerHour: 2 },
+  other: { key: 'other-key-0123456789' },
+  admin: { key: 'admin-key-0123456789', admin: true }
+};
+const silent = { warn: () => {} };
+
+describe('createAccessControl', () => {
+  const create = clock => createAccessControl({ keys: KEYS, defaults: { requestsPerHour: 10, transactionsPerDay: 100 }, now: () => clock.now, logger: silent });
+
+  it('is disabled without keys and recognises only configured keys', () => {
+    assert.equal(createAccessControl({ defaults: {}, logger: silent }).enabled, false);
+    const access = create({ now: 0 });
+    assert.equal(access.authenticate('reader-key-0123456789').name, 'reader');
+    assert.equal(access.authenticate('reader-key-012345678'), null);
+    assert.equal(access.authenticate(undefined), null);
+  });
+
+  it('stops requests at the hourly quota until the next hour', () => {
+    const clock = { now: 1800000 };
+    const access = create(clock);
+    const reader = access.authenticate('reader-key-0123456789');
+    access.recordRequest('reader');
+    access.recordRequest('reader');
+
+    assert.deepEqual(access.exceededQuota(reader), {
+      quota: 'requestsPerHour', limit: 2, used: 2, resetsAt: 3600000, retryAfterSeconds: 1800
+    });
+    clock.now = 3600000;
+    assert.equal(access.exceededQuota(reader), null);
+  });
+
+  it('stops a key once the transactions fetched today reach the daily quota', () => {
+    const access = create({ now: 0 });
+    const admin = access.authenticate('admin-key-0123456789');
+    access.recordFetch('admin', { wallets: ['erd1b', 'erd1a'], transactions: 60 });
+    assert.equal(access.exceededQuota(admin), null);
+    access.recordFetch('admin', { wallets: ['erd1a'], transactions: 60 });
+    assert.equal(access.exceededQuota(admin).quota, 'transactionsPerDay');
+
+    const usage = access.describeUsage('admin');
+    assert.equal(usage.transactions, 120);
+    assert.equal(usage.walletsFetched, 2);
+    assert.deepEqual(usage.wallets, ['erd1a', 'erd1b']);
+  });
+});
+
+describe('API keys on the HTTP routes', () => {
+  let mock;
+  let server;
+  let baseUrl;
+
+  const post = (route, key, body = {}) => fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key && { 'X-API-Key': key }) },
+    body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31', ...body })
+  });
+  const usage = key => fetch(`${baseUrl}/admin/usage`, { headers: { 'X-API-Key': key } });
+  const getJob = (jobId, key) => fetch(`${baseUrl}/jobs/${jobId}`, { headers: { 'X-API-Key': key } });
+
+  before(async () => {
+    mock = await startMockApi(fixture);
+    server = await startServer(mock, dataDir => {
+      const configFile = path.join(dataDir, 'config.json');
+      fs.writeFileSync(configFile, JSON.stringify({ API_KEYS: KEYS }));
+      return { CONFIG_FILE: configFile, USAGE_FILE: path.join(dataDir, 'usage.json') };
+    });
+    baseUrl = server.url;
+  });
+
+  after(async () => {
+    await server.close();
+    await mock.close();
+  });
+
+  it('rejects fetches without a valid key but leaves /health open', async () => {
+    assert.equal((await post('/fetch-transactions')).status, 401);
+    assert.equal((await post('/fetch-transactions', 'wrong-key-0123456789')).status, 401);
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+  });
+
+  it('records usage per key and answers 429 with Retry-After once the quota is used', async () => {
+    const first = await post('/fetch-transactions', KEYS.reader.key);
+    assert.equal(first.status, 200);
+    const { allTransactions } = await first.json();
+    assert.equal((await post('/fetch-transactions', KEYS.reader.key)).status, 200);
+
+    const limited = await post('/fetch-transactions', KEYS.reader.key);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    const body = await limited.json();
+    assert.equal(body.quota, 'requestsPerHour');
+    assert.match(body.error, /2 of 2 requests this hour/);
+
+    assert.equal((await usage(KEYS.reader.key)).status, 403);
+    const response = await usage(KEYS.admin.key);
+    assert.equal(response.status, 200);
+    const reader = (await response.json()).keys.find(key => key.name === 'reader');
+    assert.equal(reader.requests, 2);
+    assert.deepEqual(reader.wallets, [fixture.wallet]);
+    assert.equal(reader.transactions, 2 * allTransactions.length);
+    assert.ok(reader.upstreamCalls > 0);
+  });
+
+  it('shows a job only to the keys that submitted it and charges each of them', async () => {
+    const listing = `/accounts/${fixture.wallet}/transactions`;
+    // Februar er ikke hentet ennå; listingen for den holdes igjen så den andre innsendingen slås sammen
+    const body = { walletAddress: fixture.wallet, fromDate: '2024-02-01', toDate: '2024-03-31' };
+    fixture.delays = { [listing]: 300 };
+    let created;
+    let joined;
+    try {
+      created = await (await post('/jobs', KEYS.admin.key, body)).json();
+      joined = await (await post('/jobs', KEYS.other.key, body)).json();
+    } finally {
+      delete fixture.delays;
+    }
+    assert.equal(joined.jobId, created.jobId);
+    assert.equal(joined.coalesced, true);
+
+    let job = await (await getJob(created.jobId, KEYS.other.key)).json();
+    while (job.status !== 'completed') {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      job = await (await getJob(created.jobId, KEYS.other.key)).json();
+    }
+
+    assert.equal((await getJob(created.jobId, KEYS.reader.key)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/jobs/${created.jobId}/result`, { headers: { 'X-API-Key': KEYS.reader.key } })).status, 404);
+    assert.equal((await fetch(`${baseUrl}/progress/${created.jobId}`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/progress/${created.jobId}?apiKey=${KEYS.reader.key}`)).status, 404);
+
+    const result = await (await fetch(`${baseUrl}/jobs/${created.jobId}/result`, { headers: { 'X-API-Key': KEYS.other.key } })).json();
+    const other = (await (await usage(KEYS.admin.key)).json()).keys.find(key => key.name === 'other');
+    assert.ok(result.allTransactions.length > 0);
+    assert.equal(other.transactions, result.allTransactions.length);
+  });
+
+  it('counts retries of failed transactions against the quota', async () => {
+    const requestsOf = async name => (await (await usage(KEYS.admin.key)).json()).keys.find(key => key.name === name).requests;
+
+    assert.equal((await post('/jobs/unknown/retry', KEYS.reader.key)).status, 429);
+    const before = await requestsOf('other');
+    assert.equal((await post('/jobs/unknown/retry', KEYS.other.key)).status, 404);
+    assert.equal(await requestsOf('other'), before + 1);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig } = require('../lib/config');
+
+const priceProviders = ['coingecko'];
+
+describe('loadConfig', () => {
+  let baseDir;
+
+  // Skriver konfigurasjonsfilen og laster med de gitte miljøvariablene
+  const load = (file, env = {}) => {
+    fs.writeFileSync(path.join(baseDir, 'config.json'), JSON.stringify(file));
+    return loadConfig({ env, baseDir, priceProviders });
+  };
+  const problemsOf = (file, env) => {
+    try {
+      load(file, env);
+    } catch (err) {
+      assert.ok(err instanceof ConfigError);
+      return err.problems;
+    }
+    assert.fail('expected a ConfigError');
+  };
+
+  before(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multiversx-proxy-config-'));
+  });
+
+  after(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  it('loads the defaults and derives the network tokens, aliases and paths', () => {
+    const config = load({});
+    assert.equal(config.DEFAULT_NETWORK, 'mainnet');
+    assert.equal(config.networks.mainnet.apiUrl, 'https://api.multiversx.com');
+    assert.equal(config.PRICE_ALIASES['WEGLD-bd4d79'], 'EGLD');
+    assert.equal(config.PRICE_ALIASES['XMEX-fda355'], 'MEX-455c57');
+    assert.equal(config.KNOWN_TOKEN_DECIMALS['MEX-455c57'], 18);
+    assert.equal(config.WALLET_STORE_DIR, path.join(baseDir, 'data/wallets'));
+  });
+
+  it('reports unknown keys and values of the wrong type together', () => {
+    const problems = problemsOf({
+      PAGE_SIZE: '1000',
+      API_RATE_LIMIT_PER_SECOND: 0,
+      KEEP_PARTIAL_RESULTS: 'yes',
+      CORS_ORIGINS: 'https://example.com',
+      PRICE_CACHE_FILE: 5,
+      PRICE_ALIASES: [],
+      API_KEYS: { short: { key: 'abc' } },
+      MAX_RETRY: 3
+    });
+    assert.deepEqual(problems.sort(), [
+      'API_KEYS.short.key must be a string of at least 16 characters',
+      'API_RATE_LIMIT_PER_SECOND must be a number > 0',
+      'CORS_ORIGINS must be a list of strings',
+      'KEEP_PARTIAL_RESULTS must be true or false',
+      'PAGE_SIZE must be an integer >= 1',
+      'PRICE_ALIASES must be an object',
+      'PRICE_CACHE_FILE must be a non-empty string',
+      'Unknown config key MAX_RETRY'
+    ]);
+  });
+
+  it('checks the networks and their token identifiers', () => {
+    const problems = problemsOf({
+      DEFAULT_NETWORK: 'localnet',
+      NETWORKS: { devnet: { apiUrl: 'ftp://devnet', tokens: { WEGLD: 'wegld', USDC: 'USDC-c76f1f' } } }
+    });
+    assert.deepEqual(problems, [
+      'NETWORKS.devnet.apiUrl must be an http(s) URL',
+      'NETWORKS.devnet.tokens.WEGLD is not a token identifier: wegld',
+      'NETWORKS.devnet.tokens.USDC is not one of WEGLD, MEX, XMEX',
+      'DEFAULT_NETWORK localnet is not one of mainnet, devnet, testnet'
+    ]);
+  });
+
+  it('lets environment variables override the file, parsed by the type of the default', () => {
+    const config = load({ PAGE_SIZE: 100, CORS_ORIGINS: ['https://file.example'], KEEP_PARTIAL_RESULTS: false }, {
+      PAGE_SIZE: '50',
+      CORS_ORIGINS: 'https://a.example, https://b.example,',
+      KEEP_PARTIAL_RESULTS: 'TRUE',
+      LOG_FORMAT: 'pretty',
+      DEVNET_API_URL: 'http://localhost:3000/'
+    });
+    assert.equal(config.PAGE_SIZE, 50);
+    assert.deepEqual(config.CORS_ORIGINS, ['https://a.example', 'https://b.example']);
+    assert.equal(config.KEEP_PARTIAL_RESULTS, true);
+    assert.equal(config.LOG_FORMAT, 'pretty');
+    assert.equal(config.networks.devnet.apiUrl, 'http://localhost:3000');
+    assert.equal(config.networks.devnet.tokens.WEGLD, 'WEGLD-a28c59');
+  });
+
+  it('ignores empty and object-valued environment variables and reports unparsable ones', () => {
+    const config = load({}, { PAGE_SIZE: '', API_KEYS: '{"admin":{"key":"x"}}' });
+    assert.equal(config.PAGE_SIZE, 1000);
+    assert.deepEqual(config.API_KEYS, {});
+
+    assert.deepEqual(problemsOf({}, { MAX_RETRIES: 'five', KEEP_PARTIAL_RESULTS: 'maybe' }), [
+      'MAX_RETRIES must be an integer >= 1',
+      'KEEP_PARTIAL_RESULTS must be true or false'
+    ]);
+  });
+
+  it('fails on a config file that is missing or not a JSON object', () => {
+    assert.throws(() => loadConfig({ env: { CONFIG_FILE: 'missing.json' }, baseDir, priceProviders }), /does not exist/);
+    fs.writeFileSync(path.join(baseDir, 'list.json'), '[]');
+    assert.throws(() => loadConfig({ env: { CONFIG_FILE: 'list.json' }, baseDir, priceProviders }), /expected a JSON object/);
+  });
+});
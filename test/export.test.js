@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyRow, renderCsv } = require('../lib/export');
+
+// Én rad av hver sort: belønning, handel, rent gebyr og innskudd uten pris
+const base = { outAmount: '0', outCurrency: 'EGLD', inAmount: '0', inCurrency: 'EGLD', fee: '0', wallet: 'erd1owner', position: false, fiatCurrency: 'NOK', priceMissing: false };
+const ROWS = [
+  { ...base, timestamp: 1709290800, function: 'claimrewards', inAmount: '1234.5', inCurrency: 'MEX-455c57', fee: '0.008', txHash: 'reward', inValue: '12.35', outValue: '0', feeValue: '3.20' },
+  { ...base, timestamp: 1709337600, function: 'swaptokensfixedinput', inAmount: '29.5', inCurrency: 'USDC-c76f1f', outAmount: '1', outCurrency: 'WEGLD-bd4d79', fee: '0.0005', txHash: 'trade', inValue: '320.00', outValue: '400.00', feeValue: '0.20' },
+  { ...base, timestamp: 1709424000, function: 'transfer', fee: '0.000233', txHash: 'fee', inValue: '0', outValue: '0', feeValue: '0.09' },
+  { ...base, timestamp: 1709510461, function: 'transfer', inAmount: '10', inCurrency: 'FOO-123456', txHash: 'deposit', inValue: null, outValue: '0', feeValue: '0', priceMissing: true }
+];
+
+const linesOf = csv => csv.split('\r\n').slice(0, -1);
+
+describe('CSV export', () => {
+  it('classifies rewards, trades, fees and one-sided rows', () => {
+    assert.deepEqual(ROWS.map(classifyRow), ['reward', 'trade', 'fee', 'deposit']);
+    assert.equal(classifyRow({ ...ROWS[0], position: true }), 'deposit');
+    assert.equal(classifyRow({ ...ROWS[3], inAmount: '0', outAmount: '10' }), 'withdrawal');
+  });
+
+  it('writes the Koinly universal layout with the fee as a cost on fee-only rows', () => {
+    assert.deepEqual(linesOf(renderCsv(ROWS, 'koinly')), [
+      'Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash',
+      '2024-03-01 11:00:00 UTC,,,1234.5,MEX-455c57,0.008,EGLD,12.35,NOK,reward,claimrewards,reward',
+      '2024-03-02 00:00:00 UTC,1,WEGLD-bd4d79,29.5,USDC-c76f1f,0.0005,EGLD,320.00,NOK,,swaptokensfixedinput,trade',
+      '2024-03-03 00:00:00 UTC,0.000233,EGLD,,,,,0.09,NOK,cost,transfer,fee',
+      '2024-03-04 00:01:01 UTC,,,10,FOO-123456,,,,,,transfer,deposit'
+    ]);
+  });
+
+  it('writes the CoinTracking layout with day-first dates and an exchange column', () => {
+    assert.deepEqual(linesOf(renderCsv(ROWS, 'cointracking')), [
+      'Type,Buy Amount,Buy Currency,Sell Amount,Sell Currency,Fee,Fee Currency,Exchange,Trade-Group,Comment,Date,Tx-ID',
+      'Reward / Bonus,1234.5,MEX-455c57,,,0.008,EGLD,MultiversX,,claimrewards,01.03.2024 11:00:00,reward',
+      'Trade,29.5,USDC-c76f1f,1,WEGLD-bd4d79,0.0005,EGLD,MultiversX,,swaptokensfixedinput,02.03.2024 00:00:00,trade',
+      'Other Fee,,,0.000233,EGLD,,,MultiversX,,transfer,03.03.2024 00:00:00,fee',
+      'Deposit,10,FOO-123456,,,,,MultiversX,,transfer,04.03.2024 00:01:01,deposit'
+    ]);
+  });
+
+  it('writes every amount, value and the owner in the generic layout', () => {
+    assert.deepEqual(linesOf(renderCsv(ROWS, 'generic')), [
+      'Date,Type,In Amount,In Currency,Out Amount,Out Currency,Fee,Fee Currency,In Value,Out Value,Fee Value,Fiat Currency,Price Missing,Function,Wallet,TxHash',
+      '2024-03-01T11:00:00.000Z,reward,1234.5,MEX-455c57,0,,0.008,EGLD,12.35,0,3.20,NOK,,claimrewards,erd1owner,reward',
+      '2024-03-02T00:00:00.000Z,trade,29.5,USDC-c76f1f,1,WEGLD-bd4d79,0.0005,EGLD,320.00,400.00,0.20,NOK,,swaptokensfixedinput,erd1owner,trade',
+      '2024-03-03T00:00:00.000Z,fee,0,,0,,0.000233,EGLD,0,0,0.09,NOK,,transfer,erd1owner,fee',
+      '2024-03-04T00:01:01.000Z,deposit,10,FOO-123456,0,,0,EGLD,,0,0,NOK,yes,transfer,erd1owner,deposit'
+    ]);
+  });
+
+  it('quotes values with commas and rejects unknown formats', () => {
+    const [, line] = linesOf(renderCsv([{ ...ROWS[1], function: 'swap,fixed' }], 'generic'));
+    assert.ok(line.includes('"swap,fixed"'));
+    assert.throws(() => renderCsv(ROWS, 'excel'), /Unknown export format: excel/);
+  });
+});
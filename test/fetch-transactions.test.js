@@ -0,0 +1,600 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockApi, startServer } = require('./mock-api');
+
+const fixture = require('./fixtures/mainnet.json');
+
+const hashOf = func => fixture.transactions.find(tx => tx.function === func && tx.status === 'success').txHash;
+const stakingHash = func => fixture.transactions.find(tx => tx.function === func && tx.action?.category === 'stake').txHash;
+const rowsFor = (rows, txHash) => rows.filter(row => row.txHash === txHash);
+
+describe('POST /fetch-transactions against the mock API', () => {
+  let mock;
+  let server;
+  let baseUrl;
+  let result;
+
+  const fetchTransactions = async body => {
+    const response = await fetch(`${baseUrl}/fetch-transactions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: 'test', fromDate: '2024-03-01', toDate: '2024-03-31', ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const eventFor = txHash => result.ledger.find(event => event.txHash === txHash);
+
+  before(async () => {
+    mock = await startMockApi(fixture);
+    server = await startServer(mock);
+    baseUrl = server.url;
+
+    const response = await fetchTransactions({ walletAddress: fixture.wallet });
+    assert.equal(response.status, 200);
+    result = response.body;
+  });
+
+  after(async () => {
+    await server.close();
+    await mock.close();
+  });
+
+  it('fetches every transaction in the period', () => {
+    assert.equal(result.allTransactions.length, fixture.transactions.length);
+    assert.equal(result.complete, true);
+  });
+
+  it('reports an incoming EGLD transfer without a fee', () => {
+    const rows = rowsFor(result.taxRelevantTransactions, fixture.transactions[0].txHash);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].function, 'transfer');
+    assert.equal(rows[0].inAmount, '1.5');
+    assert.equal(rows[0].inCurrency, 'EGLD');
+    assert.equal(rows[0].fee, '0');
+  });
+
+  it('classifies wrapEgld as EGLD out and WEGLD in', () => {
+    const rows = rowsFor(result.taxRelevantTransactions, hashOf('wrapEgld'));
+    assert.equal(rows.length, 1);
+    assert.deepEqual(
+      [rows[0].inAmount, rows[0].inCurrency, rows[0].outAmount, rows[0].outCurrency, rows[0].fee],
+      ['2', 'WEGLD-bd4d79', '2', 'EGLD', '0.0042']
+    );
+  });
+
+  it('classifies unwrapEgld as WEGLD out and EGLD in on one row', () => {
+    const txHash = hashOf('unwrapEgld');
+    const rows = rowsFor(result.taxRelevantTransactions, txHash);
+    assert.deepEqual(
+      rows.map(row => [row.inAmount, row.inCurrency, row.outAmount, row.outCurrency, row.fee]),
+      [['0.5', 'EGLD', '0.5', 'WEGLD-bd4d79', '0.005']]
+    );
+    assert.deepEqual(eventFor(txHash).classifiers, ['unwrap-egld']);
+  });
+
+  it('classifies a swap as one trade row despite operations, logs and results reporting it', () => {
+    const txHash = hashOf('swapTokensFixedInput');
+    const rows = rowsFor(result.taxRelevantTransactions, txHash);
+    assert.equal(rows.length, 1);
+    assert.deepEqual(
+      [rows[0].inAmount, rows[0].inCurrency, rows[0].outAmount, rows[0].outCurrency],
+      ['29.512345', 'USDC-c76f1f', '1', 'WEGLD-bd4d79']
+    );
+    assert.equal(result.ledger.find(event => event.txHash === txHash).type, 'trade');
+  });
+
+  it('moves a farm position to the re-issued farm token on claimRewards and reports the reward separately', () => {
+    const txHash = hashOf('claimRewards');
+    const rows = rowsFor(result.taxRelevantTransactions, txHash);
+    assert.deepEqual(
+      rows.map(row => [row.outAmount, row.outCurrency, row.inAmount, row.inCurrency, row.position]),
+      [['5', 'EGLDMEXFL-ab1234-0a', '5', 'EGLDMEXFL-ab1234-0b', true], ['0', 'EGLD', '1234.5', 'MEX-455c57', false]]
+    );
+    assert.equal(rows[0].fee, '0.008');
+
+    const event = eventFor(txHash);
+    assert.equal(event.type, 'farm-claim');
+    assert.deepEqual(event.position, { kind: 'farm', action: 'claim', tokens: ['EGLDMEXFL-ab1234-0b'] });
+    assert.equal(event.gasRefund, '0.012');
+  });
+
+  it('reports an outgoing ESDT transfer', () => {
+    const rows = rowsFor(result.taxRelevantTransactions, hashOf('ESDTTransfer'));
+    assert.equal(rows.length, 1);
+    assert.deepEqual([rows[0].outAmount, rows[0].outCurrency, rows[0].inAmount], ['10', 'USDC-c76f1f', '0']);
+  });
+
+  it('records a failed transaction as a fee only', () => {
+    const failed = fixture.transactions.find(tx => tx.status === 'fail');
+    const rows = rowsFor(result.taxRelevantTransactions, failed.txHash);
+    assert.equal(rows.length, 1);
+    assert.deepEqual([rows[0].inAmount, rows[0].outAmount, rows[0].fee], ['0', '0', '0.000233']);
+  });
+
+  it('keeps delegated EGLD out of the rows but records the stake', () => {
+    const txHash = stakingHash('delegate');
+    const event = eventFor(txHash);
+    assert.equal(event.type, 'stake');
+    assert.deepEqual(event.legs.map(l => [l.direction, l.amount, l.principal]), [['out', '10', true]]);
+    assert.equal(event.staking.amount, '10');
+
+    const rows = rowsFor(result.taxRelevantTransactions, txHash);
+    assert.deepEqual(rows.map(row => [row.inAmount, row.outAmount, row.fee]), [['0', '0', '0.000182']]);
+  });
+
+  it('reports a staking reward paid through scResults, without the gas refund', () => {
+    const txHash = stakingHash('claimRewards');
+    assert.equal(eventFor(txHash).type, 'reward');
+    const rows = rowsFor(result.taxRelevantTransactions, txHash);
+    assert.deepEqual(rows.map(row => [row.inAmount, row.inCurrency, row.fee]), [['0.25', 'EGLD', '0.005']]);
+  });
+
+  it('reports compounded rewards as income', () => {
+    const txHash = stakingHash('reDelegateRewards');
+    const event = eventFor(txHash);
+    assert.equal(event.type, 'compounded-reward');
+    assert.equal(event.staking.amount, '0.1');
+    const rows = rowsFor(result.taxRelevantTransactions, txHash);
+    assert.deepEqual(rows.map(row => [row.inAmount, row.inCurrency]), [['0.1', 'EGLD']]);
+  });
+
+  it('records unstaking and withdrawal as principal movements only', () => {
+    const unstake = eventFor(stakingHash('unDelegate'));
+    assert.equal(unstake.type, 'unstake');
+    assert.equal(unstake.staking.amount, '4');
+    assert.equal(unstake.legs.length, 0);
+
+    const txHash = stakingHash('withdraw');
+    const withdrawal = eventFor(txHash);
+    assert.equal(withdrawal.type, 'stake-withdrawal');
+    assert.deepEqual(withdrawal.legs.map(l => [l.direction, l.amount, l.principal]), [['in', '4', true]]);
+    assert.deepEqual(rowsFor(result.taxRelevantTransactions, txHash).map(row => row.inAmount), ['0']);
+  });
+
+  it('reports a liquid staking mint as EGLD out and the staking token in', () => {
+    const txHash = fixture.transactions.find(tx => tx.function === 'delegate' && tx.action.category !== 'stake').txHash;
+    assert.equal(eventFor(txHash).type, 'stake');
+    const rows = rowsFor(result.taxRelevantTransactions, txHash);
+    assert.deepEqual(
+      rows.map(row => [row.inAmount, row.inCurrency, row.outAmount, row.outCurrency]),
+      [['0.95', 'SEGLD-3ad2d0', '1', 'EGLD']]
+    );
+  });
+
+  it('links the tokens given up for liquidity with the LP token, net of the refund', () => {
+    const event = eventFor(hashOf('addLiquidity'));
+    assert.equal(event.type, 'lp-deposit');
+    assert.deepEqual(event.position, { kind: 'liquidity', action: 'enter', tokens: ['EGLDUSDC-594e5e'] });
+    assert.deepEqual(
+      event.legs.map(l => [l.direction, l.amount, l.token, l.position]),
+      [['out', '1', 'WEGLD-bd4d79', true], ['out', '29.5', 'USDC-c76f1f', true], ['in', '5', 'EGLDUSDC-594e5e', true]]
+    );
+    assert.ok(rowsFor(result.taxRelevantTransactions, event.txHash).every(row => row.position));
+  });
+
+  it('tracks the farm token received on entry with its nonce', () => {
+    const event = eventFor(hashOf('enterFarm'));
+    assert.equal(event.type, 'farm-deposit');
+    const farmToken = event.legs.find(l => l.direction === 'in');
+    assert.deepEqual([farmToken.token, farmToken.nonce], ['EGLDUSDCFL-7f4ac5-01', 1]);
+    assert.deepEqual(event.position.tokens, ['EGLDUSDCFL-7f4ac5-01']);
+  });
+
+  it('reports farm rewards on exit separately from the position', () => {
+    const event = eventFor(hashOf('exitFarm'));
+    assert.equal(event.type, 'farm-withdrawal');
+    assert.deepEqual(event.position, { kind: 'farm', action: 'exit', tokens: ['EGLDUSDCFL-7f4ac5-01'] });
+
+    const rows = rowsFor(result.taxRelevantTransactions, event.txHash);
+    assert.deepEqual(
+      rows.map(row => [row.inAmount, row.inCurrency, row.outAmount, row.outCurrency, row.position]),
+      [['5', 'EGLDUSDC-594e5e', '5', 'EGLDUSDCFL-7f4ac5-01', true], ['100', 'MEX-455c57', '0', 'EGLD', false]]
+    );
+  });
+
+  it('classifies removing liquidity as a position exit', () => {
+    const event = eventFor(hashOf('removeLiquidity'));
+    assert.equal(event.type, 'lp-withdrawal');
+    assert.deepEqual(event.position.tokens, ['EGLDUSDC-594e5e']);
+    assert.deepEqual(event.legs.filter(l => l.direction === 'in').map(l => [l.amount, l.token]), [['1.01', 'WEGLD-bd4d79'], ['29', 'USDC-c76f1f']]);
+  });
+
+  it('classifies an NFT bought for EGLD as a trade with collection and nonce', () => {
+    const event = eventFor(hashOf('buy'));
+    assert.equal(event.type, 'trade');
+    assert.deepEqual(
+      event.legs.map(l => [l.direction, l.amount, l.token, l.collection, l.nonce]),
+      [['in', '1', 'PUNK-1a2b3c-2f', 'PUNK-1a2b3c', 47], ['out', '2', 'EGLD', 'EGLD', null]]
+    );
+  });
+
+  it('classifies an NFT sold for an ESDT as a trade', () => {
+    const rows = rowsFor(result.taxRelevantTransactions, hashOf('acceptOffer'));
+    assert.deepEqual(
+      rows.map(row => [row.inAmount, row.inCurrency, row.outAmount, row.outCurrency]),
+      [['50', 'USDC-c76f1f', '1', 'PUNK-1a2b3c-05']]
+    );
+  });
+
+  it('records minted and burned SFTs', () => {
+    const minted = eventFor(hashOf('ESDTNFTCreate'));
+    assert.equal(minted.type, 'mint');
+    assert.deepEqual(minted.legs.map(l => [l.direction, l.amount, l.token]), [['in', '1', 'ART-4d5e6f-01']]);
+
+    const burned = eventFor(hashOf('ESDTNFTBurn'));
+    assert.equal(burned.type, 'burn');
+    assert.deepEqual(burned.legs.map(l => [l.direction, l.amount, l.token, l.source]), [['out', '1', 'ART-4d5e6f-01', 'logs']]);
+  });
+
+  it('fetches details in one batch and retries it when rate limited', () => {
+    const batches = mock.requests.filter(req => req.path === '/transactions');
+    assert.deepEqual(batches.map(req => req.status), [429, 429, 200]);
+    assert.equal(mock.requests.filter(req => req.path.startsWith('/transactions/')).length, 0);
+    // Den mislykkede transaksjonen trenger ikke detaljer
+    assert.equal(batches[2].query.hashes.split(',').length, fixture.transactions.length - 1);
+  });
+
+  it('looks up token decimals in one batch', () => {
+    const lookups = mock.requests.filter(req => req.path === '/tokens');
+    assert.equal(lookups.length, 1);
+    assert.ok(lookups[0].query.identifiers.split(',').includes('USDC-c76f1f'));
+
+    // NFT/SFT/MetaESDT slås opp på kolleksjonen
+    const collections = mock.requests.filter(req => req.path === '/collections');
+    assert.equal(collections.length, 1);
+    assert.ok(collections[0].query.identifiers.split(',').includes('PUNK-1a2b3c'));
+    assert.equal(mock.requests.filter(req => req.path.startsWith('/tokens/') || req.path.startsWith('/collections/')).length, 0);
+  });
+
+  it('exposes upstream, cache and pipeline stage metrics', async () => {
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await response.text();
+
+    assert.match(text, /^proxy_upstream_requests_total\{upstream="multiversx",endpoint="\/accounts\/:address\/transactions",status="200"\} \d+$/m);
+    assert.match(text, /^proxy_upstream_requests_total\{upstream="multiversx",endpoint="\/transactions",status="429"\} 2$/m);
+    assert.match(text, /^proxy_upstream_retries_total\{upstream="multiversx",endpoint="\/transactions",reason="rate_limit"\} 2$/m);
+    assert.match(text, /^proxy_cache_lookups_total\{cache="events",result="miss"\} \d+$/m);
+    for (const stage of ['listing', 'details', 'classification', 'pricing']) {
+      assert.match(text, new RegExp(`^proxy_pipeline_stage_duration_seconds_count\\{stage="${stage}"\\} \\d+$`, 'm'));
+    }
+    assert.match(text, /^proxy_sse_connections 0$/m);
+    assert.doesNotMatch(text, /erd1/);
+  });
+
+  it('is ready when the upstream API answers', async () => {
+    const response = await fetch(`${baseUrl}/ready`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ready');
+  });
+
+  it('adds fiat values to the rows', () => {
+    const rows = rowsFor(result.taxRelevantTransactions, fixture.transactions[0].txHash);
+    assert.equal(result.fiatCurrency, 'NOK');
+    assert.equal(rows[0].inValue, '600.00');
+  });
+
+  it('reconciles the replayed ledger against the on-chain balances', async () => {
+    const response = await fetch(`${baseUrl}/reconcile`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31' })
+    });
+    assert.equal(response.status, 200);
+    const [wallet] = (await response.json()).wallets;
+    const tokenFor = token => wallet.tokens.find(t => t.token === token);
+
+    assert.equal(tokenFor('USDC-c76f1f').status, 'ok');
+    assert.equal(tokenFor('PUNK-1a2b3c-2f').status, 'ok');
+
+    // 100 MEX mangler på kjeden, nøyaktig farmbelønningen
+    const mex = tokenFor('MEX-455c57');
+    assert.deepEqual([mex.status, mex.difference], ['mismatch', '-100']);
+    assert.deepEqual(mex.suspects[0], { reason: 'amount-matches-difference', timestamp: eventFor(hashOf('exitFarm')).timestamp, txHash: hashOf('exitFarm') });
+
+    // Lommeboken hadde EGLD før perioden, så saldoen blir negativ ved første utgående transaksjon
+    assert.equal(tokenFor('EGLD').suspects[0].reason, 'negative-balance');
+  });
+
+  it('reports holdings at a date, the same whether replayed forward or backward', async () => {
+    const holdingsFor = async replay => {
+      const response = await fetch(`${baseUrl}/holdings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31', date: '2024-03-05', replay })
+      });
+      assert.equal(response.status, 200);
+      const [wallet] = (await response.json()).wallets;
+      return wallet.holdings;
+    };
+
+    const forward = await holdingsFor('forward');
+    const backward = await holdingsFor('backward');
+    const usdc = forward.find(h => h.token === 'USDC-c76f1f');
+    assert.deepEqual([usdc.amount, usdc.value], ['19.512345', '214.64']);
+    assert.deepEqual(forward.find(h => h.location === 'staked'), backward.find(h => h.location === 'staked'));
+    assert.deepEqual(usdc, backward.find(h => h.token === 'USDC-c76f1f'));
+  });
+
+  it('rejects a replay direction that is not a string, from the body and the query string', async () => {
+    const response = await fetch(`${baseUrl}/holdings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31', date: '2024-03-05', replay: 1 })
+    });
+    assert.deepEqual([response.status, await response.json()], [400, { error: 'replay must be a string' }]);
+
+    const repeated = await fetch(`${baseUrl}/jobs/${result.jobId}/holdings?date=2024-03-05&replay=forward&replay=backward`);
+    assert.deepEqual([repeated.status, await repeated.json()], [400, { error: 'replay must be a string' }]);
+    const date = await fetch(`${baseUrl}/jobs/${result.jobId}/holdings?date=2024-03-05&date=2024-03-06`);
+    assert.deepEqual([date.status, await date.json()], [400, { error: 'Missing or invalid date' }]);
+  });
+
+  it('explains how a single transaction was classified', async () => {
+    const explain = body => fetch(`${baseUrl}/explain`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ walletAddress: fixture.wallet, ...body })
+    });
+    const response = await explain({ txHash: hashOf('ESDTNFTBurn') });
+    assert.equal(response.status, 200);
+    const explanation = await response.json();
+
+    const rule = name => explanation.classification.rules.find(r => r.classifier === name);
+    assert.deepEqual([rule('staking').status, rule('staking').reason], ['skipped', 'function "esdtnftburn" is not one it handles']);
+    assert.deepEqual([rule('nft').status, rule('nft').legs], ['matched', 1]);
+    assert.ok(rule('nft').notes.some(note => note.message.includes('Added burn')));
+    assert.equal(rule('generic').status, 'not-run');
+
+    const [topic, nonce] = explanation.logs.events[0].decodedTopics;
+    assert.deepEqual([topic.text, nonce.number], ['ART-4d5e6f', '1']);
+    assert.deepEqual(explanation.rows.map(row => [row.outAmount, row.outCurrency]), [['1', 'ART-4d5e6f-01']]);
+
+    assert.equal((await explain({ txHash: 'not-a-hash' })).status, 400);
+  });
+
+  it('answers a repeated request from the local store', async () => {
+    const listed = () => mock.requests.filter(req => req.path.endsWith('/transactions')).length;
+    const details = () => mock.requests.filter(req => req.path.startsWith('/transactions/')).length;
+    const before = { listed: listed(), details: details() };
+
+    const response = await fetchTransactions({ walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-15' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.taxRelevantTransactions.length, result.taxRelevantTransactions.length);
+    assert.equal(response.body.pagination.fromStore, fixture.transactions.length);
+    assert.deepEqual({ listed: listed(), details: details() }, before);
+  });
+
+  it('tags the log lines of a fetch with its request and job id', async () => {
+    const lines = [];
+    const restore = server.logger.redirect((level, line) => lines.push(JSON.parse(line)), 'info');
+    try {
+      const response = await fetch(`${baseUrl}/fetch-transactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'trace-me' },
+        body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31' })
+      });
+      assert.equal(response.headers.get('x-request-id'), 'trace-me');
+      await response.json();
+    } finally {
+      restore();
+    }
+
+    const classified = lines.find(line => line.msg === 'Classified transactions');
+    assert.equal(classified.requestId, 'trace-me');
+    assert.ok(classified.jobId);
+    assert.ok(lines.every(line => line.requestId === 'trace-me'));
+  });
+
+  it('streams typed progress events for a job and replays them after Last-Event-ID', async () => {
+    // Leser SSE-strømmen til until(meldingene) er sann; hver melding er { id, data, ... }
+    const readSse = async (pathAndQuery, until, headers = {}) => {
+      const response = await fetch(`${baseUrl}/progress/${pathAndQuery}`, { headers });
+      const decoder = new TextDecoder();
+      let text = '';
+      const messages = () => text.split('\n\n').slice(0, -1).map(block => Object.fromEntries(
+        block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()])
+      ));
+      for await (const chunk of response.body) {
+        text += decoder.decode(chunk, { stream: true });
+        if (until(messages())) break;
+      }
+      return messages();
+    };
+    const events = messages => messages.filter(message => message.id).map(message => ({ id: Number(message.id), ...JSON.parse(message.data) }));
+    const completed = messages => events(messages).some(event => event.type === 'completed');
+
+    const created = await fetch(`${baseUrl}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: 'sse-test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-20' })
+    });
+    const { jobId } = await created.json();
+
+    const all = events(await readSse(`${jobId}?format=json&lastEventId=0`, completed));
+    assert.deepEqual(all.slice(0, 2).map(event => event.stage), ['queued', 'started']);
+    const classified = all.filter(event => event.stage === 'classification').at(-1);
+    assert.equal(classified.percent, 100);
+    assert.equal(classified.processed, classified.total);
+    const done = all.at(-1);
+    assert.equal(done.type, 'completed');
+    assert.equal(done.jobId, jobId);
+    assert.equal((await fetch(`${baseUrl}${done.result.href}`)).status, 200);
+
+    const started = all[1].id;
+    const resumed = events(await readSse(`${jobId}?format=json`, completed, { 'Last-Event-ID': String(started) }));
+    assert.ok(resumed.every(event => event.id > started));
+    assert.equal(resumed.at(-1).id, done.id);
+
+    const text = await readSse(`${jobId}?lastEventId=0`, messages => messages.some(message => message.data === '🏁 Job completed'));
+    assert.equal(text[1].data, '✅ SSE connection established');
+    assert.equal(text[2].data, '⏳ Job queued');
+  });
+
+  it('cancels a fetch and aborts its upstream calls when the client goes away', async () => {
+    const listing = `/accounts/${fixture.wallet}/transactions`;
+    const lines = [];
+    const restore = server.logger.redirect((level, line) => lines.push(JSON.parse(line)), 'info');
+    fixture.delays = { [listing]: 2000 };
+    try {
+      const controller = new AbortController();
+      const request = fetch(`${baseUrl}/fetch-transactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: 'gone', walletAddress: fixture.wallet, fromDate: '2024-02-01', toDate: '2024-02-20' }),
+        signal: controller.signal
+      }).catch(() => null);
+      await new Promise(resolve => setTimeout(resolve, 300));
+      controller.abort();
+      await request;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } finally {
+      restore();
+      delete fixture.delays;
+    }
+
+    const { jobId } = lines.find(line => line.msg === 'Cancelling abandoned job');
+    const job = await (await fetch(`${baseUrl}/jobs/${jobId}`)).json();
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.cancelReason, 'abandoned');
+    assert.ok(mock.requests.some(req => req.path === listing && req.aborted));
+    assert.equal(mock.requests.filter(req => req.path === `${listing}/count` && req.query.after === '1706745600').length, 0);
+  });
+
+  it('reports transactions whose details could not be fetched and retries just those', async () => {
+    const counterparty = Object.keys(fixture.accounts).find(address => address !== fixture.wallet);
+    const transfer = fixture.transactions.find(tx => tx.function === 'ESDTTransfer' && tx.receiver === counterparty).txHash;
+    fixture.failures = { '/transactions': true, [`/transactions/${transfer}`]: true };
+    let failed;
+    try {
+      failed = await fetchTransactions({ walletAddress: counterparty });
+    } finally {
+      delete fixture.failures;
+    }
+
+    assert.equal(failed.status, 200);
+    assert.equal(failed.body.complete, false);
+    assert.deepEqual(failed.body.failedTransactions.map(failure => [failure.txHash, failure.wallet]), [[transfer, counterparty]]);
+    assert.match(failed.body.failedTransactions[0].error, /500/);
+    assert.equal(rowsFor(failed.body.taxRelevantTransactions, transfer).length, 0);
+
+    const detailsBefore = mock.requests.filter(req => req.path.startsWith('/transactions/')).length;
+    const response = await fetch(`${baseUrl}/jobs/${failed.body.jobId}/retry`, { method: 'POST' });
+    assert.equal(response.status, 200);
+    const retried = await response.json();
+    assert.deepEqual(retried.recovered, [{ txHash: transfer, wallet: counterparty }]);
+    assert.deepEqual(retried.failedTransactions, []);
+    assert.equal(retried.complete, true);
+    assert.equal(rowsFor(retried.taxRelevantTransactions, transfer).length, 1);
+    assert.equal(mock.requests.filter(req => req.path.startsWith('/transactions/')).length, detailsBefore + 1);
+
+    const stored = await (await fetch(`${baseUrl}/jobs/${failed.body.jobId}/result`)).json();
+    assert.deepEqual(stored.taxRelevantTransactions, retried.taxRelevantTransactions);
+    const again = await fetchTransactions({ walletAddress: counterparty });
+    assert.equal(again.body.complete, true);
+    assert.equal(again.body.pagination.fromStore, again.body.allTransactions.length);
+  });
+
+  it('merges a two-wallet portfolio in time order and marks transfers between them as internal', async () => {
+    const other = Object.keys(fixture.accounts).find(address => address !== fixture.wallet);
+    const response = await fetchTransactions({ walletAddresses: [other, fixture.wallet] });
+    assert.equal(response.status, 200);
+    const portfolio = response.body;
+    assert.deepEqual([...portfolio.wallets].sort(), [fixture.wallet, other].sort());
+
+    const between = fixture.transactions
+      .filter(tx => [tx.sender, tx.receiver].includes(other) && [tx.sender, tx.receiver].includes(fixture.wallet))
+      .map(tx => tx.txHash);
+    assert.equal(between.length, 2);
+    assert.equal(portfolio.internalTransfers, between.length * 2);
+    for (const txHash of between) {
+      const events = portfolio.ledger.filter(event => event.txHash === txHash);
+      assert.deepEqual(events.map(event => event.wallet).sort(), [fixture.wallet, other].sort());
+      for (const event of events) {
+        assert.equal(event.type, 'internal-transfer');
+        assert.ok(event.legs.every(leg => leg.internal));
+      }
+      // Bare gebyret til avsenderen blir igjen som rad
+      const rows = rowsFor(portfolio.taxRelevantTransactions, txHash);
+      assert.equal(rows.length, 1);
+      assert.deepEqual([rows[0].inAmount, rows[0].outAmount], ['0', '0']);
+      assert.equal(rows[0].wallet, fixture.transactions.find(tx => tx.txHash === txHash).sender);
+    }
+
+    const inOrder = list => list.every((item, i) => i === 0 || list[i - 1].timestamp <= item.timestamp);
+    assert.ok(inOrder(portfolio.ledger));
+    assert.ok(inOrder(portfolio.taxRelevantTransactions));
+    assert.ok(portfolio.taxRelevantTransactions.every(row => portfolio.wallets.includes(row.wallet)));
+    assert.ok(portfolio.ledger.some(event => event.wallet === other) && portfolio.ledger.some(event => event.wallet === fixture.wallet));
+  });
+
+  it('rejects an invalid wallet address', async () => {
+    const response = await fetchTransactions({ walletAddress: 'erd1invalid' });
+    assert.equal(response.status, 400);
+  });
+
+  it('rejects parameters of the wrong type with 400', async () => {
+    const cases = [
+      [{ network: ['mainnet'] }, 'network must be a string'],
+      [{ network: 1 }, 'network must be a string'],
+      [{ currency: { code: 'NOK' } }, 'currency must be a string'],
+      [{ toDate: 20240331 }, 'fromDate and toDate must be strings'],
+      [{ walletAddress: [fixture.wallet] }, `Invalid wallet address: ${fixture.wallet}`]
+    ];
+    for (const [body, error] of cases) {
+      const response = await fetchTransactions({ walletAddress: fixture.wallet, ...body });
+      assert.deepEqual([response.status, response.body.error], [400, error]);
+    }
+    const queued = await fetch(`${baseUrl}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31', currency: 7 })
+    });
+    assert.equal(queued.status, 400);
+  });
+
+  it('checks the gains method and opening lots before fetching', async () => {
+    const gains = async body => {
+      const response = await fetch(`${baseUrl}/gains`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31', ...body })
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    assert.deepEqual(await gains({ method: 1 }), { status: 400, body: { error: 'method must be a string' } });
+    for (const lot of [null, 'EGLD', { token: 'EGLD', amount: '1' }, { token: 'EGLD', amount: 'one', cost: '300' }]) {
+      const response = await gains({ openingLots: [{ token: 'EGLD', amount: 1, cost: 300 }, lot] });
+      assert.deepEqual(response, { status: 400, body: { error: 'openingLots[1] must be an object with a token and a numeric amount and cost' } });
+    }
+
+    const response = await gains({ method: 'FIFO', openingLots: [{ token: 'EGLD', amount: '1', cost: '300.00', acquiredAt: 1700000000 }] });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.disposals.length > 0);
+    // Wrapping og unwrapping flytter lotene; bare gebyrene avhendes
+    const wraps = response.body.disposals.filter(d => [hashOf('wrapEgld'), hashOf('unwrapEgld')].includes(d.txHash));
+    assert.deepEqual(wraps.map(d => d.kind), ['fee', 'fee']);
+  });
+
+  it('checks the export format before fetching, from the body and the query string', async () => {
+    const exportCsv = body => fetch(`${baseUrl}/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31', ...body })
+    });
+
+    const numeric = await exportCsv({ format: 1 });
+    assert.deepEqual([numeric.status, await numeric.json()], [400, { error: 'format must be a string' }]);
+    const unknown = await exportCsv({ format: 'excel' });
+    assert.equal(unknown.status, 400);
+    const repeated = await fetch(`${baseUrl}/jobs/${result.jobId}/export?format=koinly&format=generic`);
+    assert.deepEqual([repeated.status, await repeated.json()], [400, { error: 'format must be a string' }]);
+
+    const koinly = await exportCsv({ format: 'Koinly' });
+    assert.equal(koinly.status, 200);
+    assert.match(await koinly.text(), /^Date,Sent Amount,/);
+  });
+});
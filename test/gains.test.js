@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeGains } = require('../lib/gains');
+
+const row = fields => ({
+  function: 'transfer',
+  inAmount: '0',
+  inCurrency: 'EGLD',
+  outAmount: '0',
+  outCurrency: 'EGLD',
+  fee: '0',
+  position: false,
+  ...fields
+});
+
+describe('computeGains', () => {
+  it('carries the cost basis into a liquidity position and back out again', () => {
+    const rows = [
+      row({ txHash: 'buy-wegld', timestamp: 100, inAmount: '1', inCurrency: 'WEGLD-bd4d79', inValue: '400.00' }),
+      row({ txHash: 'buy-usdc', timestamp: 200, inAmount: '30', inCurrency: 'USDC-c76f1f', inValue: '330.00' }),
+      row({ txHash: 'add', timestamp: 300, function: 'addliquidity', position: true, inAmount: '5', inCurrency: 'EGLDUSDC-594e5e', outAmount: '1', outCurrency: 'WEGLD-bd4d79' }),
+      row({ txHash: 'add', timestamp: 300, function: 'addliquidity', position: true, outAmount: '30', outCurrency: 'USDC-c76f1f' }),
+      row({ txHash: 'remove', timestamp: 400, function: 'removeliquidity', position: true, inAmount: '1', inCurrency: 'WEGLD-bd4d79', inValue: '500.00', outAmount: '5', outCurrency: 'EGLDUSDC-594e5e' }),
+      row({ txHash: 'remove', timestamp: 400, function: 'removeliquidity', position: true, inAmount: '30', inCurrency: 'USDC-c76f1f', inValue: '300.00' })
+    ];
+
+    const { disposals, openLots } = computeGains(rows);
+    assert.equal(disposals.length, 0);
+    assert.deepEqual(
+      openLots.map(lot => [lot.token, lot.amount, lot.cost]),
+      [['WEGLD-bd4d79', '1', '456.25'], ['USDC-c76f1f', '30', '273.75']]
+    );
+  });
+
+  it('counts farm rewards as income but not the position rows', () => {
+    const rows = [
+      row({ txHash: 'exit', timestamp: 100, function: 'exitfarm', position: true, inAmount: '5', inCurrency: 'EGLDUSDC-594e5e', outAmount: '5', outCurrency: 'EGLDUSDCFL-7f4ac5-01' }),
+      row({ txHash: 'exit', timestamp: 100, function: 'exitfarm', inAmount: '100', inCurrency: 'MEX-455c57', inValue: '0.01' })
+    ];
+
+    const { yearlySummary } = computeGains(rows);
+    assert.equal(yearlySummary[0].income, '0.01');
+  });
+
+  it('carries the lot through a wrap and back through an unwrap', () => {
+    const rows = [
+      row({ txHash: 'buy', timestamp: 100, inAmount: '2', inCurrency: 'EGLD', inValue: '200.00' }),
+      row({ txHash: 'wrap', timestamp: 200, function: 'wrapegld', inAmount: '2', inCurrency: 'WEGLD-bd4d79', inValue: '800.00', outAmount: '2', outValue: '800.00' }),
+      row({ txHash: 'unwrap', timestamp: 300, function: 'unwrapegld', inAmount: '0.5', inValue: '200.00', outAmount: '0.5', outCurrency: 'WEGLD-bd4d79', outValue: '200.00' })
+    ];
+
+    const { disposals, openLots } = computeGains(rows);
+    assert.equal(disposals.length, 0);
+    assert.deepEqual(
+      openLots.map(lot => [lot.token, lot.amount, lot.cost, lot.acquiredAt]),
+      [['EGLD', '0.5', '50.00', 100], ['WEGLD-bd4d79', '1.5', '150.00', 100]]
+    );
+  });
+});
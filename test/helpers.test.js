@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeTransferResult, eventToken, operationLegs, tokenIdentifier } = require('../lib/classifiers/helpers');
+
+const base64 = text => Buffer.from(text).toString('base64');
+const hex = text => Buffer.from(text).toString('hex');
+
+describe('tokenIdentifier', () => {
+  it('appends the nonce as even-length hex, and nothing for fungible tokens', () => {
+    assert.equal(tokenIdentifier('EGLDMEXFL-ab1234', 10), 'EGLDMEXFL-ab1234-0a');
+    assert.equal(tokenIdentifier('PUNK-1a2b3c', 256), 'PUNK-1a2b3c-0100');
+    assert.equal(tokenIdentifier('USDC-c76f1f', 0), 'USDC-c76f1f');
+  });
+});
+
+describe('eventToken', () => {
+  it('includes the nonce topic', () => {
+    assert.equal(eventToken({ topics: [base64('EGLDMEXFL-ab1234'), Buffer.from([0x0b]).toString('base64'), '', ''] }), 'EGLDMEXFL-ab1234-0b');
+    assert.equal(eventToken({ topics: [base64('USDC-c76f1f'), '', '', ''] }), 'USDC-c76f1f');
+  });
+});
+
+describe('decodeTransferResult', () => {
+  const decode = data => decodeTransferResult({ data: base64(data) }).transfers.map(t => [t.token, t.amount.toString()]);
+
+  it('decodes fungible, NFT and multi transfers', () => {
+    assert.deepEqual(decode(`ESDTTransfer@${hex('MEX-455c57')}@0de0b6b3a7640000`), [['MEX-455c57', '1000000000000000000']]);
+    assert.deepEqual(decode(`ESDTNFTTransfer@${hex('EGLDMEXFL-ab1234')}@0a@0de0b6b3a7640000@${'00'.repeat(32)}`), [['EGLDMEXFL-ab1234-0a', '1000000000000000000']]);
+    assert.deepEqual(
+      decode(`MultiESDTNFTTransfer@${'00'.repeat(32)}@02@${hex('USDC-c76f1f')}@@0f4240@${hex('PUNK-1a2b3c')}@2f@01`),
+      [['USDC-c76f1f', '1000000'], ['PUNK-1a2b3c-2f', '1']]
+    );
+  });
+
+  it('returns no transfers for data it cannot read', () => {
+    assert.deepEqual(decode('ESDTTransfer@'), []);
+    assert.deepEqual(decode('claimRewards'), []);
+  });
+});
+
+describe('operationLegs', () => {
+  it('builds token legs with the counterparty and skips operations without a token or amount', async () => {
+    const warnings = [];
+    const ctx = {
+      tx: { txHash: 'abc' },
+      getTokenDecimals: async token => (token === 'USDC-c76f1f' ? 6 : 18),
+      log: () => {},
+      warn: message => warnings.push(message)
+    };
+    const legs = await operationLegs(ctx, [
+      { identifier: 'USDC-c76f1f', value: '2500000', sender: 'erd1pool', receiver: 'erd1owner' },
+      { value: '1' },
+      { identifier: 'MEX-455c57', value: '0' }
+    ], 'in');
+    assert.deepEqual(legs.map(l => [l.direction, l.token, l.amount, l.source, l.counterparty]), [['in', 'USDC-c76f1f', '2.5', 'operations', 'erd1pool']]);
+    assert.equal(warnings.length, 2);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { holdingsAt, valueHoldings } = require('../lib/holdings');
+
+const PROVIDER = 'erd1qqqqqqqqqqqqqqqpqqqqqqqqqqqqqqqqqqqqqqqqqqqqqthllllsy5r6rh';
+
+const event = fields => ({
+  txHash: `tx-${fields.timestamp}`,
+  type: 'deposit',
+  legs: [],
+  fee: '0',
+  staking: null,
+  ...fields
+});
+const leg = (direction, amount, token = 'EGLD', flags = {}) => ({ direction, amount, token, counterparty: null, ...flags });
+
+const events = [
+  event({ timestamp: 100, legs: [leg('in', '20')] }),
+  event({ timestamp: 200, type: 'stake', legs: [leg('out', '10', 'EGLD', { principal: true, counterparty: PROVIDER })], fee: '0.5', staking: { provider: PROVIDER } }),
+  event({ timestamp: 300, type: 'compounded-reward', legs: [leg('in', '1')], staking: { provider: PROVIDER } }),
+  event({ timestamp: 400, legs: [leg('in', '100', 'USDC-c76f1f')] })
+];
+
+describe('holdingsAt', () => {
+  it('replays forward from zero and keeps delegated EGLD as a separate holding', () => {
+    assert.deepEqual(holdingsAt(events, 350), [
+      { token: 'EGLD', location: 'wallet', provider: null, amount: '9.5' },
+      { token: 'EGLD', location: 'staked', provider: PROVIDER, amount: '11' }
+    ]);
+  });
+
+  it('replays backward from the current balances to the same result', () => {
+    const current = [
+      { token: 'EGLD', provider: null, amount: '9.5' },
+      { token: 'USDC-c76f1f', provider: null, amount: '100' },
+      { token: 'EGLD', provider: PROVIDER, amount: '11' }
+    ];
+    assert.deepEqual(holdingsAt(events, 250, { replay: 'backward', current }), holdingsAt(events, 250));
+  });
+});
+
+describe('valueHoldings', () => {
+  it('values holdings at the price on the date and lists tokens without a price', async () => {
+    const prices = { EGLD: 400 };
+    const getPrice = async token => prices[token] ?? null;
+    const report = await valueHoldings(
+      [{ token: 'EGLD', amount: '1.5' }, { token: 'EGLDUSDC-594e5e', amount: '3' }],
+      { getPrice, timestamp: 100, currency: 'NOK' }
+    );
+
+    assert.deepEqual(report.holdings.map(h => h.value), ['600.00', null]);
+    assert.equal(report.totalValue, '600.00');
+    assert.deepEqual(report.missingPrices, ['EGLDUSDC-594e5e']);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobCancelledError, createJobQueue } = require('../lib/jobs');
+
+const silent = { info: () => {}, error: () => {}, context: () => ({}), withContext: (fields, fn) => fn() };
+
+// Runner som venter til signalet avbrytes og kaster grunnen, slik et avbrutt kall mot API-et gjør
+const waitForAbort = async (params, { signal }) => {
+  await new Promise(resolve => signal.addEventListener('abort', resolve));
+  throw signal.reason;
+};
+
+describe('createJobQueue', () => {
+  it('cancels a held job once the last holder goes away and nobody watches it', async () => {
+    const watched = new Set();
+    const queue = createJobQueue({ runner: waitForAbort, isWatched: job => watched.has(job.id), logger: silent });
+    const { job } = queue.submit('key', {});
+    const first = queue.hold(job);
+    const second = queue.hold(job);
+
+    first();
+    watched.add(job.id);
+    second();
+    assert.equal(job.cancelRequested, false);
+
+    watched.delete(job.id);
+    queue.checkAbandoned(job.id);
+    await job.done;
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.cancelReason, 'abandoned');
+  });
+
+  it('never cancels a job nobody held', () => {
+    const queue = createJobQueue({ runner: waitForAbort, logger: silent });
+    const { job } = queue.submit('key', {}, { listenerId: 'client' });
+    queue.checkAbandoned('client');
+    assert.equal(job.cancelRequested, false);
+    queue.cancel(job.id);
+  });
+
+  it('keeps a job that an asynchronous submitter shares with a waiting request, in either order', () => {
+    const queue = createJobQueue({ runner: waitForAbort, logger: silent });
+
+    const { job: heldFirst } = queue.submit('held-first', {});
+    const release = queue.hold(heldFirst);
+    assert.equal(queue.submit('held-first', {}, { detach: true }).job, heldFirst);
+    release();
+    assert.equal(heldFirst.cancelRequested, false);
+
+    const { job: detachedFirst } = queue.submit('detached-first', {}, { detach: true });
+    assert.equal(queue.submit('detached-first', {}).job, detachedFirst);
+    queue.hold(detachedFirst)();
+    assert.equal(detachedFirst.cancelRequested, false);
+
+    queue.cancel(heldFirst.id);
+    queue.cancel(detachedFirst.id);
+  });
+
+  it('aborts the runner with a JobCancelledError that says whether to keep partial results', async () => {
+    let reason;
+    const queue = createJobQueue({
+      runner: (params, context) => waitForAbort(params, context).catch(err => { reason = err; throw err; }),
+      logger: silent
+    });
+    const { job } = queue.submit('key', {});
+    queue.cancel(job.id, { keepPartial: true });
+    await job.done;
+
+    assert.ok(reason instanceof JobCancelledError);
+    assert.equal(reason.keepPartial, true);
+    assert.equal(job.progress.type, 'cancelled');
+  });
+});
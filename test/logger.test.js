@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+
+const WALLET = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+
+const capture = options => {
+  const lines = [];
+  const logger = createLogger({ now: () => new Date('2024-03-01T00:00:00Z'), write: (level, line) => lines.push(line), ...options });
+  return { logger, lines, parsed: () => lines.map(line => JSON.parse(line)) };
+};
+
+describe('createLogger', () => {
+  it('writes one JSON line per entry and drops entries below the level', () => {
+    const { logger, parsed } = capture({ level: 'info' });
+    logger.debug('Upstream request', { url: 'https://api.multiversx.com' });
+    logger.warn('Could not fetch token decimals', { token: 'USDC-c76f1f' });
+    assert.deepEqual(parsed(), [{ time: '2024-03-01T00:00:00.000Z', level: 'warn', msg: 'Could not fetch token decimals', token: 'USDC-c76f1f' }]);
+  });
+
+  it('adds the context fields to every line logged within it, also after await', async () => {
+    const { logger, parsed } = capture();
+    await logger.withContext({ requestId: 'req-1' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      await logger.withContext({ jobId: 'job-1' }, async () => logger.info('Job started'));
+    });
+    logger.info('Outside');
+    assert.deepEqual(parsed().map(({ requestId, jobId }) => [requestId, jobId]), [['req-1', 'job-1'], [undefined, undefined]]);
+  });
+
+  it('redacts wallet addresses in the message and in fields', () => {
+    const truncated = capture({ redact: 'truncate' });
+    truncated.logger.info(`Stored transactions for ${WALLET}`, { wallet: WALLET, nested: { wallets: [WALLET] } });
+    const [line] = truncated.parsed();
+    assert.equal(line.msg, 'Stored transactions for erd1qyu5…r6th');
+    assert.deepEqual([line.wallet, line.nested.wallets[0]], ['erd1qyu5…r6th', 'erd1qyu5…r6th']);
+
+    const hashed = capture({ redact: 'hash' });
+    hashed.logger.info('a', { wallet: WALLET });
+    hashed.logger.info('b', { wallet: WALLET });
+    const [first, second] = hashed.parsed();
+    assert.match(first.wallet, /^erd1#[0-9a-f]{12}$/);
+    assert.equal(first.wallet, second.wallet);
+    assert.ok(!hashed.lines.join('\n').includes(WALLET));
+  });
+
+  it('formats readable lines in pretty mode', () => {
+    const { logger, lines } = capture({ format: 'pretty' });
+    logger.info('SSE connection opened', { clientId: 'abc' });
+    assert.equal(lines[0], '2024-03-01T00:00:00.000Z INFO  SSE connection opened clientId=abc');
+  });
+
+  it('redirects the lines to another writer and level until restored', () => {
+    const { logger, parsed } = capture({ level: 'error' });
+    const redirected = [];
+    const restore = logger.redirect((level, line) => redirected.push([level, JSON.parse(line).msg]), 'info');
+    logger.debug('Upstream request');
+    logger.info('Job started');
+    restore();
+    logger.info('Job completed');
+    logger.error('Job failed');
+    assert.deepEqual(redirected, [['info', 'Job started']]);
+    assert.deepEqual(parsed().map(line => line.msg), ['Job failed']);
+  });
+});
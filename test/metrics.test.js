@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry, endpointOf } = require('../lib/metrics');
+
+describe('createMetricsRegistry', () => {
+  it('renders counters and gauges in the Prometheus text format', () => {
+    const metrics = createMetricsRegistry();
+    const requests = metrics.counter({ name: 'requests_total', help: 'Requests', labelNames: ['status'] });
+    const open = metrics.gauge({ name: 'open_connections', help: 'Open connections' });
+    requests.inc({ status: 200 });
+    requests.inc({ status: 200 }, 2);
+    requests.inc({ status: 'say "hi"' });
+    open.inc();
+    open.inc();
+    open.dec();
+
+    assert.equal(metrics.render(), [
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{status="200"} 3',
+      'requests_total{status="say \\"hi\\""} 1',
+      '# HELP open_connections Open connections',
+      '# TYPE open_connections gauge',
+      'open_connections 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps cumulative histogram buckets and times with the injected clock', () => {
+    const clock = { now: 0 };
+    const metrics = createMetricsRegistry({ now: () => clock.now });
+    const duration = metrics.histogram({ name: 'stage_seconds', help: 'Stage', labelNames: ['stage'], buckets: [0.5, 1] });
+    duration.observe({ stage: 'listing' }, 0.2);
+    const end = duration.startTimer({ stage: 'listing' });
+    clock.now = 750;
+    end();
+
+    const lines = metrics.render().split('\n').filter(line => line.startsWith('stage_seconds'));
+    assert.deepEqual(lines, [
+      'stage_seconds_bucket{stage="listing",le="0.5"} 1',
+      'stage_seconds_bucket{stage="listing",le="1"} 2',
+      'stage_seconds_bucket{stage="listing",le="+Inf"} 2',
+      'stage_seconds_sum{stage="listing"} 0.95',
+      'stage_seconds_count{stage="listing"} 2'
+    ]);
+  });
+});
+
+describe('endpointOf', () => {
+  it('replaces addresses, hashes and token identifiers in the path', () => {
+    const address = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+    assert.equal(endpointOf(`https://api.multiversx.com/accounts/${address}/transactions?from=0`), '/accounts/:address/transactions');
+    assert.equal(endpointOf(`https://api.multiversx.com/transactions/${'ab'.repeat(32)}`), '/transactions/:hash');
+    assert.equal(endpointOf('https://api.multiversx.com/tokens/USDC-c76f1f'), '/tokens/:identifier');
+    assert.equal(endpointOf('not a url'), 'unknown');
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Lokal erstatning for MultiversX-API-et (og CoinGecko) drevet av en fixture:
+// {
+//   accounts: { adresse: konto },
+//   accountTokens: { adresse: [token] },  // saldoer; med nonce havner de under /nfts, ellers /tokens
+//   delegations: { adresse: [delegering] },  // /accounts/:addr/delegation
+//   transactions: [tx],                 // slik /accounts/:addr/transactions returnerer dem
+//   details: { txHash: detaljert tx },  // /transactions/:hash med operations, logs og results
+//   tokens: { identifikator: token },
+//   collections: { kolleksjon: kolleksjon },  // NFT/SFT/MetaESDT
+//   prices: { coingeckoId: { nok: 400, usd: 36 } },
+//   rateLimits: { sti: antall },        // antall 429-svar før stien svarer normalt
+//   retryAfter: sekunder,               // Retry-After på 429-svarene (valgfri)
+//   delays: { sti: ms },                // svarer først etter så lang tid; leses ved hvert kall
+//   failures: { sti: true },            // svarer 500 så lenge stien står der; leses ved hvert kall
+//   maxResultWindow: antall             // største from + size i transaksjonslisten (standard 10000)
+// }
+function createMockApi(fixture) {
+  const app = express();
+  const requests = [];
+  const rateLimits = new Map(Object.entries(fixture.rateLimits || {}));
+
+  app.use((req, res, next) => {
+    const entry = { method: req.method, path: req.path, query: req.query, status: null, aborted: false };
+    requests.push(entry);
+    res.on('finish', () => { entry.status = res.statusCode; });
+    res.on('close', () => { if (!res.writableFinished) entry.aborted = true; });
+
+    const remaining = rateLimits.get(req.path) || 0;
+    if (remaining > 0) {
+      rateLimits.set(req.path, remaining - 1);
+      if (fixture.retryAfter !== undefined) res.set('Retry-After', String(fixture.retryAfter));
+      return res.status(429).json({ statusCode: 429, message: 'Too Many Requests' });
+    }
+    if (fixture.failures?.[req.path]) return res.status(500).json({ statusCode: 500, message: 'Internal Server Error' });
+    const delay = fixture.delays?.[req.path];
+    if (delay) return setTimeout(next, delay);
+    next();
+  });
+
+  const involves = address => tx => tx.sender === address || tx.receiver === address;
+
+  // after/before er inklusive, som i API-et
+  function accountTransactions(address, { after, before }) {
+    return fixture.transactions
+      .filter(involves(address))
+      .filter(tx => (after === undefined || tx.timestamp >= Number(after)) && (before === undefined || tx.timestamp <= Number(before)));
+  }
+
+  app.get('/stats', (req, res) => res.json({ shards: 3, epoch: 1500 }));
+
+  app.get('/accounts/:address', (req, res) => {
+    const account = fixture.accounts?.[req.params.address];
+    if (!account) return res.status(404).json({ statusCode: 404, message: 'Account not found' });
+    res.json(account);
+  });
+
+  const accountTokens = (address, collectibles, { from = 0, size = 25 }) =>
+    (fixture.accountTokens?.[address] || [])
+      .filter(token => (token.nonce !== undefined) === collectibles)
+      .slice(Number(from), Number(from) + Number(size));
+
+  app.get('/accounts/:address/tokens', (req, res) => {
+    res.json(accountTokens(req.params.address, false, req.query));
+  });
+
+  app.get('/accounts/:address/nfts', (req, res) => {
+    res.json(accountTokens(req.params.address, true, req.query));
+  });
+
+  app.get('/accounts/:address/delegation', (req, res) => {
+    res.json(fixture.delegations?.[req.params.address] || []);
+  });
+
+  app.get('/accounts/:address/transactions/count', (req, res) => {
+    res.json(accountTransactions(req.params.address, req.query).length);
+  });
+
+  app.get('/accounts/:address/transactions', (req, res) => {
+    const { from = 0, size = 25, order = 'desc' } = req.query;
+    const maxResultWindow = fixture.maxResultWindow ?? 10000;
+    if (Number(from) + Number(size) > maxResultWindow) {
+      return res.status(400).json({ statusCode: 400, message: `Result window is too large, from + size must be less than or equal to: [${maxResultWindow}]` });
+    }
+    const sorted = accountTransactions(req.params.address, req.query)
+      .sort((a, b) => (order === 'asc' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp));
+    res.json(sorted.slice(Number(from), Number(from) + Number(size)));
+  });
+
+  const withDetails = tx => ({ ...tx, ...fixture.details?.[tx.txHash] });
+
+  // Bolkoppslag: /transactions?hashes=a,b&withOperations=true&withLogs=true&withScResults=true
+  app.get('/transactions', (req, res) => {
+    const hashes = (req.query.hashes || '').split(',').filter(Boolean);
+    res.json(fixture.transactions.filter(tx => hashes.includes(tx.txHash)).map(withDetails));
+  });
+
+  app.get('/transactions/:hash', (req, res) => {
+    const tx = fixture.transactions.find(t => t.txHash === req.params.hash);
+    if (!tx) return res.status(404).json({ statusCode: 404, message: 'Transaction not found' });
+    res.json(withDetails(tx));
+  });
+
+  app.get('/tokens', (req, res) => {
+    const identifiers = (req.query.identifiers || '').split(',').filter(Boolean);
+    res.json(identifiers.map(identifier => fixture.tokens?.[identifier]).filter(Boolean));
+  });
+
+  app.get('/tokens/:identifier', (req, res) => {
+    const token = fixture.tokens?.[req.params.identifier];
+    if (!token) return res.status(404).json({ statusCode: 404, message: 'Token not found' });
+    res.json(token);
+  });
+
+  app.get('/collections', (req, res) => {
+    const identifiers = (req.query.identifiers || '').split(',').filter(Boolean);
+    res.json(identifiers.map(identifier => fixture.collections?.[identifier]).filter(Boolean));
+  });
+
+  app.get('/collections/:collection', (req, res) => {
+    const collection = fixture.collections?.[req.params.collection];
+    if (!collection) return res.status(404).json({ statusCode: 404, message: 'Collection not found' });
+    res.json(collection);
+  });
+
+  app.get('/coins/:id/history', (req, res) => {
+    const prices = fixture.prices?.[req.params.id];
+    res.json(prices ? { id: req.params.id, market_data: { current_price: prices } } : { id: req.params.id });
+  });
+
+  return { app, requests };
+}
+
+// Starter mock-API-et på en ledig port
+function startMockApi(fixture) {
+  const { app, requests } = createMockApi(fixture);
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Starter serveren mot mock-API-et, med lager og priscache i en egen mappe. env (et objekt, eller
+// en funksjon av mappen) legges til miljøvariablene før server.js lastes; det skjer én gang per
+// testfil. Loggen dempes til feil; logger.redirect fanger den i en test.
+async function startServer(mock, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multiversx-proxy-test-'));
+  Object.assign(process.env, {
+    MAINNET_API_URL: mock.url,
+    COINGECKO_API_URL: mock.url,
+    WALLET_STORE_DIR: path.join(dataDir, 'wallets'),
+    PRICE_CACHE_FILE: path.join(dataDir, 'prices.json'),
+    BASE_DELAY_MS: '5',
+    API_RATE_LIMIT_PER_SECOND: '1000',
+    PRICE_RATE_LIMIT_PER_SECOND: '1000',
+    LOG_LEVEL: 'error',
+    ...(typeof env === 'function' ? env(dataDir) : env)
+  });
+
+  const app = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    logger: app.locals.logger,
+    close: async () => {
+      await new Promise(done => server.close(done));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  createMockApi,
+  startMockApi,
+  startServer
+};
@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockApi, startServer } = require('./mock-api');
+
+const mainnet = require('./fixtures/mainnet.json');
+
+// Små sider og et lite resultatvindu, så listen må hentes i mange vinduer
+const fixture = { ...mainnet, maxResultWindow: 4 };
+
+describe('sliding the result window past MAX_RESULT_WINDOW', () => {
+  let mock;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock = await startMockApi(fixture);
+    server = await startServer(mock, { PAGE_SIZE: '2', MAX_RESULT_WINDOW: '4' });
+    baseUrl = server.url;
+  });
+
+  after(async () => {
+    await server.close();
+    await mock.close();
+  });
+
+  it('retrieves every transaction once, without asking past the window', async () => {
+    const response = await fetch(`${baseUrl}/fetch-transactions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId: 'test', walletAddress: fixture.wallet, fromDate: '2024-03-01', toDate: '2024-03-31' })
+    });
+    assert.equal(response.status, 200);
+    const result = await response.json();
+
+    const hashes = result.allTransactions.map(tx => tx.txHash);
+    assert.equal(new Set(hashes).size, hashes.length);
+    assert.deepEqual([...hashes].sort(), fixture.transactions.map(tx => tx.txHash).sort());
+    assert.equal(result.complete, true);
+    assert.ok(result.pagination.windows > 1);
+    assert.deepEqual(result.pagination.gaps, []);
+
+    const listings = mock.requests.filter(req => req.path === `/accounts/${fixture.wallet}/transactions`);
+    assert.ok(listings.every(req => Number(req.query.from) + Number(req.query.size) <= 4 && req.status === 200));
+  });
+});
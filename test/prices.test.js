@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPriceService } = require('../lib/prices');
+const { JobCancelledError } = require('../lib/jobs');
+
+const DAY = 86400;
+const silent = { warn: () => {} };
+
+// Leverandør med faste priser per token og dag; teller oppslagene
+function fakeProvider(prices) {
+  const provider = {
+    name: 'fake',
+    calls: 0,
+    supports: token => Boolean(prices[token]),
+    async getPrice(token, date) {
+      provider.calls++;
+      return prices[token][date] ?? null;
+    }
+  };
+  return provider;
+}
+
+const row = (timestamp, { inAmount = '0', inCurrency = 'EGLD', outAmount = '0', outCurrency = 'EGLD' }) =>
+  ({ timestamp, function: 'transfer', inAmount, inCurrency, outAmount, outCurrency, fee: '0', txHash: `tx${timestamp}` });
+
+describe('createPriceService', () => {
+  it('looks a missing price up again once it has expired, without saving it', async () => {
+    const prices = { EGLD: {} };
+    const provider = fakeProvider(prices);
+    const clock = { now: 0 };
+    const service = createPriceService({ provider, now: () => clock.now, logger: silent });
+
+    assert.equal(await service.getPrice('EGLD', 0, 'NOK'), null);
+    prices.EGLD['1970-01-01'] = 400;
+    assert.equal(await service.getPrice('EGLD', 0, 'NOK'), null);
+    assert.equal(provider.calls, 1);
+
+    clock.now = 3600000;
+    assert.equal(await service.getPrice('EGLD', 0, 'NOK'), 400);
+    assert.equal(provider.calls, 2);
+  });
+
+  it('looks a shared price up again for a job that waited on a cancelled one', async () => {
+    const pending = [];
+    const provider = {
+      name: 'fake',
+      supports: () => true,
+      getPrice: () => new Promise((resolve, reject) => pending.push({ resolve, reject }))
+    };
+    const warnings = [];
+    const service = createPriceService({ provider, isCancellation: err => err instanceof JobCancelledError, logger: { warn: message => warnings.push(message) } });
+
+    // Jobb A starter oppslaget, jobb B venter på det, og A avbrytes
+    const cancelled = service.getPrice('EGLD', 0, 'NOK');
+    const waiting = service.getPrice('EGLD', 0, 'NOK');
+    assert.equal(pending.length, 1);
+    pending[0].reject(new JobCancelledError('a'));
+    await assert.rejects(cancelled, JobCancelledError);
+
+    await new Promise(setImmediate);
+    assert.equal(pending.length, 2);
+    pending[1].resolve(400);
+    assert.equal(await waiting, 400);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('prices LP and farm tokens through their rate against WEGLD from earlier trades', async () => {
+    const provider = fakeProvider({ EGLD: { '1970-01-01': 400, '1970-01-02': 500, '1970-03-01': 500 } });
+    const service = createPriceService({ provider, aliases: { 'WEGLD-bd4d79': 'EGLD' }, pairTokens: ['EGLD'], logger: silent });
+
+    const rows = await service.enrichRows([
+      row(0, { outAmount: '2', outCurrency: 'WEGLD-bd4d79', inAmount: '100', inCurrency: 'EGLDMEX-abcdef' }),
+      row(DAY, { outAmount: '50', outCurrency: 'EGLDMEX-abcdef', inAmount: '50', inCurrency: 'EGLDMEXFL-abcdef-01' }),
+      row(DAY, { inAmount: '10', inCurrency: 'EGLDMEXFL-abcdef-01' }),
+      row(59 * DAY, { inAmount: '10', inCurrency: 'EGLDMEX-abcdef' })
+    ], 'NOK');
+
+    assert.deepEqual(rows.map(r => [r.inValue, r.outValue, r.derivedPrices]), [
+      ['800.00', '800.00', ['in']],
+      // 50 LP = 1 WEGLD, til EGLD-prisen dagen etter
+      ['500.00', '500.00', ['in', 'out']],
+      ['100.00', '0', ['in']],
+      [null, '0', []]
+    ]);
+    assert.equal(rows[3].priceMissing, true);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProgressTracker, createProgressHub, formatSseEvent } = require('../lib/progress');
+
+describe('createProgressTracker', () => {
+  it('computes percent and ETA from the time spent in the current stage', () => {
+    const clock = { now: 0 };
+    const tracker = createProgressTracker({ jobId: 'job-1', now: () => clock.now });
+    tracker.event({ stage: 'listing', message: 'listing' });
+    clock.now = 1000;
+    tracker.event({ stage: 'classification', message: 'start', processed: 0, total: 100 });
+    clock.now = 11000;
+    const event = tracker.event({ message: 'Processing 26 of 100', processed: 25, total: 100 });
+
+    assert.equal(event.stage, 'classification');
+    assert.equal(event.percent, 25);
+    assert.equal(event.etaSeconds, 30);
+    assert.equal(event.jobId, 'job-1');
+  });
+
+  it('keeps warnings and the current wallet on later events', () => {
+    const tracker = createProgressTracker();
+    tracker.event({ stage: 'wallet', message: 'Wallet 2 of 3', wallet: { index: 2, count: 3, address: 'erd1b' } });
+    tracker.event({ type: 'warning', stage: 'listing', message: 'Only 9 of 10 transactions could be retrieved' });
+    const event = tracker.event({ stage: 'details', message: 'details', processed: 4, total: 4 });
+
+    assert.deepEqual(event.wallet, { index: 2, count: 3, address: 'erd1b' });
+    assert.deepEqual(event.warnings, ['Only 9 of 10 transactions could be retrieved']);
+    assert.equal(event.etaSeconds, 0);
+  });
+});
+
+describe('createProgressHub', () => {
+  const progress = (stage, processed) => ({ type: 'progress', jobId: 'job-1', stage, processed, message: `${stage} ${processed}` });
+
+  it('replays the events after Last-Event-ID, keeping only the latest progress per stage', () => {
+    const hub = createProgressHub();
+    hub.publish('client', progress('listing', 1));
+    hub.publish('client', progress('classification', 1));
+    hub.publish('client', progress('classification', 2));
+    hub.publish('client', { type: 'warning', jobId: 'job-1', stage: 'classification', message: 'careful' });
+    hub.publish('client', progress('classification', 3));
+
+    const replayed = [];
+    hub.subscribe('client', entry => replayed.push(entry), { after: 1 });
+    assert.deepEqual(replayed.map(entry => [entry.id, entry.event.message]), [
+      [3, 'classification 2'],
+      [4, 'careful'],
+      [5, 'classification 3']
+    ]);
+
+    hub.publish('client', { type: 'completed', jobId: 'job-1', stage: 'completed', message: 'done' });
+    assert.deepEqual(replayed.at(-1), { id: 6, event: { type: 'completed', jobId: 'job-1', stage: 'completed', message: 'done' } });
+  });
+
+  it('sends only new events without Last-Event-ID', () => {
+    const hub = createProgressHub();
+    hub.publish('client', progress('listing', 1));
+    const received = [];
+    hub.subscribe('client', entry => received.push(entry.id));
+    hub.publish('client', progress('details', 1));
+    assert.deepEqual(received, [2]);
+  });
+});
+
+describe('formatSseEvent', () => {
+  it('writes the JSON event or just the message', () => {
+    const entry = { id: 7, event: { type: 'warning', message: 'two\nlines' } };
+    assert.equal(formatSseEvent(entry, 'json'), 'id: 7\ndata: {"type":"warning","message":"two\\nlines"}\n\n');
+    assert.equal(formatSseEvent(entry, 'text'), 'id: 7\ndata: two lines\n\n');
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { replayLedger, reconcileWallet } = require('../lib/reconcile');
+
+const event = fields => ({
+  txHash: `tx-${fields.timestamp}`,
+  type: 'deposit',
+  legs: [],
+  fee: '0',
+  warnings: [],
+  ...fields
+});
+const leg = (direction, amount, token = 'EGLD') => ({ direction, amount, token });
+
+describe('replayLedger', () => {
+  it('keeps a running balance per token, including fees and principal, but not compounded rewards', () => {
+    const events = [
+      event({ timestamp: 300, type: 'stake', legs: [{ ...leg('out', '1'), principal: true }], fee: '0.001' }),
+      event({ timestamp: 100, legs: [leg('in', '2')] }),
+      event({ timestamp: 200, legs: [leg('in', '10', 'USDC-c76f1f')] }),
+      event({ timestamp: 400, type: 'compounded-reward', legs: [leg('in', '0.1')] })
+    ];
+
+    const balances = replayLedger(events);
+    assert.equal(balances.get('EGLD').balance.toFixed(), '0.999');
+    assert.deepEqual(balances.get('EGLD').history.map(point => point.timestamp), [100, 300]);
+    assert.equal(balances.get('USDC-c76f1f').balance.toFixed(), '10');
+  });
+});
+
+describe('reconcileWallet', () => {
+  it('reports tokens that match and points to where a missing deposit belongs', () => {
+    const events = [
+      event({ timestamp: 100, legs: [leg('in', '5')] }),
+      event({ timestamp: 200, legs: [leg('out', '8')] }),
+      event({ timestamp: 300, legs: [leg('in', '3', 'MEX-455c57')] })
+    ];
+    const actualBalances = new Map([['EGLD', '0'], ['MEX-455c57', '3']]);
+
+    const report = reconcileWallet({ events, actualBalances });
+    assert.deepEqual([report.matched, report.mismatched], [1, 1]);
+    assert.deepEqual(report.tokens[0], {
+      token: 'EGLD',
+      expected: '-3',
+      actual: '0',
+      difference: '3',
+      status: 'mismatch',
+      suspects: [{ reason: 'negative-balance', from: 100, to: 200, txHash: 'tx-200' }]
+    });
+  });
+
+  it('suspects transactions that move exactly the difference, and fetch gaps', () => {
+    const events = [
+      event({ timestamp: 100, legs: [leg('in', '50', 'USDC-c76f1f')] }),
+      event({ timestamp: 200, legs: [leg('in', '20', 'USDC-c76f1f')] })
+    ];
+    const gaps = [{ timestamp: 150, reason: 'More than 10000 transactions share this timestamp' }];
+
+    const [usdc] = reconcileWallet({ events, actualBalances: new Map([['USDC-c76f1f', '50']]), gaps }).tokens;
+    assert.deepEqual(usdc.suspects, [
+      { reason: 'amount-matches-difference', timestamp: 200, txHash: 'tx-200' },
+      { reason: 'fetch-gap', from: 150, to: 150 }
+    ]);
+  });
+
+  it('reports on-chain tokens the ledger never saw', () => {
+    const [token] = reconcileWallet({ events: [], actualBalances: new Map([['SEGLD-3ad2d0', '1']]) }).tokens;
+    assert.deepEqual([token.difference, token.suspects], ['1', [{ reason: 'no-ledger-activity' }]]);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWalletStore } = require('../lib/store');
+
+const ADDRESS = 'erd1qyu5wthldzr8wx5c9ucg8kjagg0jfs53s8nr3zpz3hypefsdd8ssycr6th';
+const tx = (txHash, timestamp) => ({ txHash, timestamp, status: 'success' });
+
+describe('createWalletStore', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multiversx-proxy-store-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps what was saved and forgets the rest once nobody uses the wallet', async () => {
+    const stores = createWalletStore({ directory, ledgerVersion: 1, logger: { warn: () => {} } });
+
+    await stores.withWallet(ADDRESS, async store => {
+      store.addTransactions([tx('a', 100)]);
+      await store.save();
+      store.addTransactions([tx('b', 200)]);
+    });
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, `${ADDRESS}.json`), 'utf8'));
+    assert.deepEqual(Object.keys(saved.transactions), ['a']);
+
+    const hashes = await stores.withWallet(ADDRESS, async store => store.transactionsBetween(0, 1000).map(t => t.txHash));
+    assert.deepEqual(hashes, ['a']);
+  });
+
+  it('lets one caller at a time use a wallet', async () => {
+    const stores = createWalletStore({ directory, ledgerVersion: 1, logger: { warn: () => {} } });
+    const order = [];
+    const use = (name, ms) => stores.withWallet(ADDRESS, async () => {
+      order.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      order.push(`${name} end`);
+    });
+    await Promise.all([use('first', 20), use('second', 0)]);
+    assert.deepEqual(order, ['first start', 'first end', 'second start', 'second end']);
+  });
+});
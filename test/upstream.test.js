@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenBucket, createUpstreamClient, mapWithConcurrency, retryAfterMs } = require('../lib/upstream');
+
+// Falsk klokke: sleep flytter tiden frem i stedet for å vente
+function fakeClock() {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+describe('createTokenBucket', () => {
+  it('lets a burst through and then spaces requests by the rate', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket({ ratePerSecond: 2, burst: 3, now: clock.now, sleep: clock.sleep });
+    for (let i = 0; i < 5; i++) await bucket.take();
+    assert.equal(clock.time, 1000);
+  });
+
+  it('holds every request while paused', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket({ ratePerSecond: 10, burst: 10, now: clock.now, sleep: clock.sleep });
+    bucket.pauseUntil(3000);
+    await bucket.take();
+    assert.equal(clock.time, 3000);
+  });
+
+  it('stops waiting as soon as the signal is aborted', async () => {
+    const bucket = createTokenBucket({ ratePerSecond: 1000, burst: 1 });
+    bucket.pauseUntil(Date.now() + 60000);
+    const controller = new AbortController();
+    const waiting = bucket.take(controller.signal);
+    setTimeout(() => controller.abort(new Error('cancelled')), 10);
+    await assert.rejects(waiting, { message: 'cancelled' });
+
+    const aborted = new AbortController();
+    aborted.abort(new Error('already cancelled'));
+    await assert.rejects(bucket.take(aborted.signal), { message: 'already cancelled' });
+  });
+});
+
+describe('createUpstreamClient', () => {
+  const client = (clock, responses, { onAttempt } = {}) => {
+    const calls = [];
+    const upstream = createUpstreamClient({
+      onAttempt,
+      name: 'test',
+      ratePerSecond: 100,
+      maxRetries: 3,
+      baseDelayMs: 10,
+      now: clock.now,
+      sleep: clock.sleep,
+      httpGet: async (url, options) => {
+        calls.push({ url, options });
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return { status: 200, data: next };
+      }
+    });
+    return { upstream, calls };
+  };
+
+  it('waits as long as Retry-After says on 429', async () => {
+    const clock = fakeClock();
+    const { upstream, calls } = client(clock, [httpError(429, { 'retry-after': '7' }), 'ok']);
+    const response = await upstream.get('http://api/accounts', { size: 1 });
+    assert.equal(response.data, 'ok');
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[0].options.params, { size: 1 });
+    assert.ok(clock.time >= 7000);
+  });
+
+  it('stops backing off when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const upstream = createUpstreamClient({
+      name: 'test',
+      ratePerSecond: 100,
+      baseDelayMs: 60000,
+      getSignal: () => controller.signal,
+      logger: { debug: () => {}, warn: () => {} },
+      httpGet: async () => { throw httpError(503); }
+    });
+    setTimeout(() => controller.abort(new Error('cancelled')), 10);
+    await assert.rejects(upstream.get('http://api/transactions'), { message: 'cancelled' });
+  });
+
+  it('does not retry client errors', async () => {
+    const clock = fakeClock();
+    const { upstream, calls } = client(clock, [httpError(404), 'ok']);
+    await assert.rejects(upstream.get('http://api/tokens/NOPE-123456'), { name: 'UpstreamError', status: 404 });
+    assert.equal(calls.length, 1);
+  });
+
+  it('reports the status and retry reason of every attempt', async () => {
+    const clock = fakeClock();
+    const attempts = [];
+    const { upstream } = client(clock, [httpError(429), httpError(503), 'ok'], { onAttempt: attempt => attempts.push(attempt) });
+    await upstream.get('http://api/transactions');
+    assert.deepEqual(attempts.map(({ status, retry }) => ({ status, retry })), [
+      { status: 429, retry: 'rate_limit' },
+      { status: 503, retry: 'error' },
+      { status: 200, retry: null }
+    ]);
+  });
+
+  it('gives up after maxRetries server errors', async () => {
+    const clock = fakeClock();
+    const { upstream, calls } = client(clock, [httpError(502), httpError(502), httpError(502)]);
+    await assert.rejects(upstream.get('http://api/transactions'), /Failed to fetch http:\/\/api\/transactions/);
+    assert.equal(calls.length, 3);
+  });
+});
+
+describe('retryAfterMs', () => {
+  it('reads seconds and HTTP dates', () => {
+    assert.equal(retryAfterMs('3'), 3000);
+    assert.equal(retryAfterMs(new Date(10000).toUTCString(), 4000), 6000);
+    assert.equal(retryAfterMs(undefined), null);
+    assert.equal(retryAfterMs('soon'), null);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps the order and never runs more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async n => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running--;
+      return n * 10;
+    });
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+    assert.equal(peak, 2);
+  });
+});